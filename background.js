@@ -1,10 +1,12 @@
 /**
  * @fileoverview Background service worker for Copy Title & URL extension
- * Handles single, double, and triple-click functionality to either copy page titles and URLs
+ * Handles one- to five-click functionality to either copy page titles and URLs
  * to clipboard or open URLs with different formats based on user configuration.
  * Actions are automatically determined by the format template.
  */
 
+importScripts('rule_packs.js', 'copy_formatter.js');
+
 /**
  * Predefined format options, used for looking up names for the action button title.
  * This should be kept in sync with the `PREDEFINED_FORMATS` in `options.js`.
@@ -41,24 +43,46 @@ const DEFAULT_FORMAT_TYPES = {
 };
 
 /**
- * Updates the action button's title based on the currently configured formats.
+ * Returns the name of a click slot's format type, for menus and titles.
+ * @param {string} formatType - A `<type>ClickFormatType` value.
+ * @param {LibraryFormat[]} library - The format library.
+ * @returns {string} The name of the predefined or library format.
+ */
+function getFormatTypeName(formatType, library) {
+  const libraryFormat = findLibraryFormat(library, formatType);
+  if (libraryFormat) {
+    return getLibraryFormatLabel(libraryFormat);
+  }
+  return ACTION_DESCRIPTIONS[formatType]?.name || 'Unknown';
+}
+
+/**
+ * Updates the action button's title based on the currently configured formats,
+ * up to the highest click slot that does something. In 'picker' mode, the
+ * picker lists the formats instead.
  */
 async function updateActionButtonTitle() {
   try {
     const items = await chrome.storage.sync.get({
-      singleClickFormatType: DEFAULT_FORMAT_TYPES.singleClickFormatType,
-      doubleClickFormatType: DEFAULT_FORMAT_TYPES.doubleClickFormatType,
-      tripleClickFormatType: DEFAULT_FORMAT_TYPES.tripleClickFormatType,
+      ...DEFAULT_FORMAT_TYPES,
+      formatLibrary: [],
+      actionButtonMode: DEFAULT_ACTION_BUTTON_MODE,
     });
+    if (items.actionButtonMode === 'picker') {
+      chrome.action.setTitle({ title: 'Pick a format to copy' });
+      return;
+    }
+    const highestClick = getHighestConfiguredClick(items);
 
-    const single =
-      ACTION_DESCRIPTIONS[items.singleClickFormatType]?.name || 'Unknown';
-    const double =
-      ACTION_DESCRIPTIONS[items.doubleClickFormatType]?.name || 'Unknown';
-    const triple =
-      ACTION_DESCRIPTIONS[items.tripleClickFormatType]?.name || 'Unknown';
-
-    const newTitle = `1️⃣ ${single} / 2️⃣ ${double} / 3️⃣ ${triple}`;
+    const newTitle = CLICK_TYPES.slice(0, highestClick)
+      .map((type, index) => {
+        const name = getFormatTypeName(
+          items[`${type}ClickFormatType`],
+          items.formatLibrary,
+        );
+        return `${CLICK_EMOJIS[index]} ${name}`;
+      })
+      .join(' / ');
 
     chrome.action.setTitle({ title: newTitle });
   } catch (error) {
@@ -69,126 +93,78 @@ async function updateActionButtonTitle() {
 }
 
 /**
- * Counter to track the number of clicks on the extension action button
- * @type {number}
+ * Click types, in the order of the number of clicks that trigger them
+ * @type {string[]}
+ * @constant
  */
-let clickCount = 0;
+const CLICK_TYPES = ['single', 'double', 'triple', 'fourth', 'fifth'];
 
 /**
- * Timer reference for detecting multiple clicks
- * @type {number}
+ * Emojis shown for each click type in the action button title and context menu
+ * @type {string[]}
+ * @constant
  */
-let clickTimer = 0;
+const CLICK_EMOJIS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣'];
 
 /**
- * Maximum delay in milliseconds to wait for additional clicks
+ * Default delay in milliseconds to wait for additional clicks.
+ * This should be kept in sync with the `DEFAULT_MULTI_CLICK_DELAY` in `options.js`.
  * @type {number}
  * @constant
  */
-const MULTI_CLICK_DELAY = 500; // milliseconds
+const DEFAULT_MULTI_CLICK_DELAY = 500; // milliseconds
 
 /**
- * Default format configurations - used as fallback when storage fails
- * @type {Object}
+ * Default behavior of the action button: 'clicks' counts clicks and runs the
+ * action of that click slot, 'picker' opens the format picker.
+ * This should be kept in sync with the `DEFAULT_ACTION_BUTTON_MODE` in `options.js`.
+ * @type {string}
  * @constant
  */
-const FALLBACK_FORMATS = {
-  // Format templates (action is auto-detected based on URL scheme)
-  singleClickFormat: '<title>\n<url>',
-  doubleClickFormat: '[<title>](<url>)',
-  tripleClickFormat: '<title>',
-  fourthClickFormat: 'do_nothing',
-  fifthClickFormat: 'do_nothing',
-};
+const DEFAULT_ACTION_BUTTON_MODE = 'clicks';
 
 /**
- * Detects if a format template starts with a URL scheme
- * @param {string} format - The format template to check
- * @returns {boolean} True if the format starts with a URL scheme
+ * Path of the popup opened by the action button in 'picker' mode.
+ * @type {string}
+ * @constant
  */
-function isUrlFormat(format) {
-  if (!format || typeof format !== 'string') {
-    return false;
-  }
-
-  return format.includes('://');
-}
+const FORMAT_PICKER_PATH = 'format_picker.html';
 
 /**
- * Removes UTM tracking parameters from a URL string.
- * @param {string} urlString - The URL to clean.
- * @returns {string} The cleaned URL.
+ * A click sequence on the action button in progress.
+ * @typedef {Object} ClickState
+ * @property {number} count - The number of clicks so far.
+ * @property {number} deadline - When the sequence ends and the action for
+ *   `count` clicks runs, in milliseconds since the epoch.
+ * @property {chrome.tabs.Tab[]} tabs - The tabs the first click acted on.
  */
-function removeUTMParams(urlString) {
-  if (!urlString) {
-    return '';
-  }
-  try {
-    const url = new URL(urlString);
-    const paramsToRemove = [
-      'utm_source',
-      'utm_medium',
-      'utm_campaign',
-      'utm_term',
-      'utm_content',
-      'gclid',
-      'fbclid',
-      'msclkid',
-    ];
-    let paramsChanged = false;
-
-    for (const param of paramsToRemove) {
-      if (url.searchParams.has(param)) {
-        url.searchParams.delete(param);
-        paramsChanged = true;
-      }
-    }
-
-    // Only return a new string if params were removed, to preserve original URL if no changes were made.
-    return paramsChanged ? url.toString() : urlString;
-  } catch (error) {
-    console.error('Failed to parse URL for UTM removal:', error);
-    return urlString; // Return original URL on error
-  }
-}
 
 /**
- * Applies title preprocessing rules to the given title based on the URL.
- * @param {string} title - The original page title.
- * @param {string} url - The page URL.
- * @param {Array<Object>} rules - The array of preprocessing rules.
- * @returns {string} The processed title.
+ * The click sequence in progress, or null between sequences. Mirrored to
+ * session storage so that a sequence survives a service worker restart.
+ * @type {ClickState|null}
  */
-function applyTitlePreprocessing(title, url, rules) {
-    if (!rules || rules.length === 0) {
-        return title;
-    }
+let clickState = null;
 
-    let processedTitle = title;
-
-    for (const rule of rules) {
-        if (url.startsWith(rule.url)) {
-            for (const action of rule.actions) {
-                switch (action.type) {
-                    case 'add_prefix':
-                        processedTitle = action.value1 + processedTitle;
-                        break;
-                    case 'add_suffix':
-                        processedTitle = processedTitle + action.value1;
-                        break;
-                    case 'remove':
-                        processedTitle = processedTitle.replaceAll(action.value1, '');
-                        break;
-                    case 'replace':
-                        processedTitle = processedTitle.replaceAll(action.value1, action.value2);
-                        break;
-                }
-            }
-        }
-    }
+/**
+ * Timer reference for running the action when no further click comes
+ * @type {number}
+ */
+let clickTimer = 0;
 
-    return processedTitle;
-}
+/**
+ * Default format configurations - used as fallback when storage fails
+ * @type {Object}
+ * @constant
+ */
+const FALLBACK_FORMATS = {
+  // Format templates (action is auto-detected based on URL scheme)
+  singleClickFormat: '<title>\n<url>',
+  doubleClickFormat: '[<title>](<url>)',
+  tripleClickFormat: '<title>',
+  fourthClickFormat: 'do_nothing',
+  fifthClickFormat: 'do_nothing',
+};
 
 /**
  * Shows a badge on the extension icon with specified text and color
@@ -244,15 +220,52 @@ async function openUrl(url) {
 }
 
 /**
- * Performs the action (copy or open URL) using the user's custom format with auto-detected action.
+ * Returns the format settings of a click slot: the slot's own format or the
+ * library format assigned to it, with the slot's site overrides.
+ * @param {string} clickType - The click type ('single', 'double', 'triple', 'fourth', 'fifth').
+ * @returns {Promise<FormatSettings|null>} The settings, or null if the slot
+ *   uses a library format that was deleted.
+ */
+async function getClickFormatSettings(clickType) {
+  const formatTypeKey = `${clickType}ClickFormatType`;
+  const result = await chrome.storage.sync.get({
+    ...FALLBACK_FORMATS,
+    ...getFormatSettingsDefaults(clickType),
+    [formatTypeKey]: DEFAULT_FORMAT_TYPES[formatTypeKey],
+    formatLibrary: [],
+  });
+
+  if (result[formatTypeKey].startsWith(LIBRARY_FORMAT_TYPE_PREFIX)) {
+    const libraryFormat = findLibraryFormat(
+      result.formatLibrary,
+      result[formatTypeKey],
+    );
+    if (!libraryFormat) {
+      return null;
+    }
+    // Site overrides belong to the slot, so they apply to its library format too
+    return {
+      ...getLibraryFormatSettings(libraryFormat, clickType),
+      overrides: result[`${clickType}ClickOverrides`],
+    };
+  }
+  const formatKey = `${clickType}ClickFormat`;
+  const settings = readFormatSettings(result, clickType);
+  settings.template = settings.template || FALLBACK_FORMATS[formatKey] || '';
+  return settings;
+}
+
+/**
+ * Performs the action (copy or open URL) of a click slot, using the slot's own
+ * format or the library format assigned to it.
  *
  * @param {chrome.tabs.Tab[]} tabs - An array of active tab objects.
- * @param {string} clickType - The click type ('single', 'double', 'triple').
+ * @param {string} clickType - The click type ('single', 'double', 'triple', 'fourth', 'fifth').
+ * @param {MenuTarget} [menuTarget] - What a context menu entry acts on, if the
+ *   format was picked from one for a link, image, selection or frame.
  * @returns {Promise<void>} Promise that resolves when the operation is complete.
- * @description Gets the user's format from storage, applies the format to each tab's title, URL, and selected text (quote),
- * and performs the action (copy or open) based on whether the format starts with a URL scheme.
  */
-async function performClickAction(tabs, clickType) {
+async function performClickAction(tabs, clickType, menuTarget) {
   if (!tabs || tabs.length === 0) {
     console.warn('No tabs provided for click action.');
     showBadgeText('⚠️', true);
@@ -260,120 +273,129 @@ async function performClickAction(tabs, clickType) {
   }
 
   try {
-    const result = await chrome.storage.sync.get({
-      ...FALLBACK_FORMATS,
-      titlePreprocessingRules: [],
-    });
-    const formatKey = `${clickType}ClickFormat`;
-    let formatTemplate = result[formatKey] || FALLBACK_FORMATS[formatKey] || '';
-    const rules = result.titlePreprocessingRules;
-
-    // Replace literal '\n' (from user input) with actual newline characters in the template
-    formatTemplate = formatTemplate.replace(/\\n/g, '\n');
-
-    if (formatTemplate === 'do_nothing') {
+    const settings = await getClickFormatSettings(clickType);
+    if (!settings) {
+      console.warn(`The ${clickType} click uses a deleted library format.`);
+      showBadgeText('⚠️', true);
       return;
     }
+    await performFormatAction(tabs, settings, menuTarget);
+  } catch (error) {
+    console.error(
+      `Error performing ${clickType} click action for multiple tabs:`,
+      error,
+    );
+    showBadgeText('⚠️', true);
+  }
+}
 
-    // Handle screenshot action separately
-    if (formatTemplate === '<screenshot>') {
-      if (tabs.length > 0 && tabs[0].id) {
-        // For screenshot, we'll only operate on the first highlighted tab (usually the active one)
-        await captureAndCopyScreenshot(tabs[0].id);
-      } else {
-        console.error('Cannot take screenshot without a valid tab ID.');
-        showBadgeText('🖼️❌', true);
-      }
-      return; // Screenshot action is complete
-    }
+/**
+ * Performs the action (copy or open URL) of a format with auto-detected action.
+ *
+ * @param {chrome.tabs.Tab[]} tabs - An array of active tab objects.
+ * @param {FormatSettings} settings - The format to apply.
+ * @param {MenuTarget} [menuTarget] - What a context menu entry acts on. The
+ *   format is then applied to it, in the first tab, instead of to the tabs.
+ * @returns {Promise<void>} Promise that resolves when the operation is complete.
+ * @description Applies the format to each tab's title, URL, and selected text (quote),
+ * and performs the action (copy or open) based on whether the format starts with a URL scheme.
+ */
+async function performFormatAction(tabs, settings, menuTarget) {
+  if (settings.template === 'do_nothing') {
+    return;
+  }
 
-    const isUrlAction = isUrlFormat(formatTemplate);
-    let textsToCopy = [];
-    let urlsToOpen = [];
+  // Handle screenshot action separately
+  if (settings.template === '<screenshot>') {
+    if (tabs.length > 0 && tabs[0].id) {
+      // For screenshot, we'll only operate on the first highlighted tab (usually the active one)
+      await captureAndCopyScreenshot(tabs[0].id);
+    } else {
+      console.error('Cannot take screenshot without a valid tab ID.');
+      showBadgeText('🖼️❌', true);
+    }
+    return; // Screenshot action is complete
+  }
 
+  const processing = await loadProcessingRules();
+  const pages = [];
+  if (menuTarget) {
+    pages.push(
+      await collectMenuTargetData(tabs[0], menuTarget, processing.titleRules),
+    );
+  } else {
     for (const tab of tabs) {
-      let title = tab.title || '';
-      const url = removeUTMParams(tab.url || '');
-      title = applyTitlePreprocessing(title, url, rules);
-      let quote = '';
-
-      // Get selected text for the current tab
-      if (tab.id) {
-        try {
-          const selectionResult = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: () => window.getSelection()?.toString() || '',
-          });
-          if (
-            selectionResult &&
-            selectionResult.length > 0 &&
-            selectionResult[0].result
-          ) {
-            quote = selectionResult[0].result.trim();
-          }
-        } catch (e) {
-          console.warn(
-            `Could not retrieve selected text for tab ${tab.id}:`,
-            e,
-          );
-          // Proceed without selected text for this tab
-        }
-      }
-
-      let formattedText;
-      if (isUrlAction) {
-        // For open action, URL encode the title, URL, and quote
-        formattedText = formatTemplate
-          .replaceAll('<title>', encodeURIComponent(title))
-          .replaceAll('<url>', encodeURIComponent(url))
-          .replaceAll('<quote>', encodeURIComponent(quote));
-        urlsToOpen.push(formattedText.trim());
-      } else {
-        // For copy action, use plain text
-        formattedText = formatTemplate
-          .replaceAll('<title>', title)
-          .replaceAll('<url>', url)
-          .replaceAll('<quote>', quote);
-        textsToCopy.push(formattedText.trim());
-      }
+      pages.push(await collectPageData(tab, processing.titleRules));
     }
+  }
+  const copy = renderCopy(pages, settings, processing);
 
-    if (isUrlAction) {
-      let openedAtLeastOne = false;
-      for (const urlToOpen of urlsToOpen) {
-        await openUrl(urlToOpen);
-        openedAtLeastOne = true;
-      }
-      if (openedAtLeastOne) {
-        if (urlsToOpen.length > 0) {
-          showBadgeText('🔗');
-        }
-      } else if (tabs.length > 0) {
-        showBadgeText('⚠️', true);
-      }
+  if (copy.isUrlAction) {
+    let openedAtLeastOne = false;
+    for (const urlToOpen of copy.urls) {
+      await openUrl(urlToOpen);
+      openedAtLeastOne = true;
+    }
+    if (openedAtLeastOne) {
+      showBadgeText('🔗');
     } else {
-      if (textsToCopy.length > 0) {
-        const combinedText = textsToCopy.join('\n\n');
-        const firstTabId = tabs[0].id;
-        if (firstTabId) {
-          await copyTextToClipboard(firstTabId, combinedText);
-        } else {
-          console.error('Cannot copy text without a valid tab ID.');
-          showBadgeText('⚠️', true);
-        }
-      } else {
-        showBadgeText('⚠️', true); // Nothing to copy
-      }
+      showBadgeText('⚠️', true);
     }
-  } catch (error) {
-    console.error(
-      `Error performing ${clickType} click action for multiple tabs:`,
-      error,
+  } else {
+    // Without a usable tab, this copies through the offscreen document
+    await copyTextToClipboard(tabs[0].id, copy.text, copy.html);
+  }
+}
+
+/**
+ * Performs the action of a library format picked from the context menu.
+ * @param {chrome.tabs.Tab[]} tabs - An array of tab objects.
+ * @param {string} formatId - The id of the library format.
+ * @param {MenuTarget} [menuTarget] - What a context menu entry acts on, if any.
+ * @returns {Promise<void>} Promise that resolves when operation is complete
+ */
+async function performLibraryFormatAction(tabs, formatId, menuTarget) {
+  try {
+    const libraryFormat = (await loadFormatLibrary()).find(
+      (format) => format.id === formatId,
     );
+    if (!libraryFormat) {
+      console.warn(`Library format ${formatId} no longer exists.`);
+      showBadgeText('⚠️', true);
+      return;
+    }
+    await performFormatAction(
+      tabs,
+      getLibraryFormatSettings(libraryFormat),
+      menuTarget,
+    );
+  } catch (error) {
+    console.error(`Error performing library format ${formatId}:`, error);
     showBadgeText('⚠️', true);
   }
 }
 
+/**
+ * Performs the action of a format assigned by its format value: a click type,
+ * which uses that click slot's format, or a library format type
+ * ('library:<id>'), as stored in `commandFormats`.
+ * @param {chrome.tabs.Tab[]} tabs - An array of tab objects.
+ * @param {string} format - The format value.
+ * @param {MenuTarget} [menuTarget] - What a context menu entry acts on, if any.
+ * @returns {Promise<void>} Promise that resolves when operation is complete
+ */
+async function performAssignedFormat(tabs, format, menuTarget) {
+  if (format.startsWith(LIBRARY_FORMAT_TYPE_PREFIX)) {
+    await performLibraryFormatAction(
+      tabs,
+      format.slice(LIBRARY_FORMAT_TYPE_PREFIX.length),
+      menuTarget,
+    );
+  } else {
+    await performClickAction(tabs, format, menuTarget);
+  }
+}
+
 /**
  * Captures the visible part of the current tab and copies it to the clipboard.
  * @param {number} tabId - The ID of the tab to capture.
@@ -440,32 +462,48 @@ async function captureAndCopyScreenshot(tabId) {
       });
     }
 
-    // Inject a script into the tab to copy the image to the clipboard
-    await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      args: [dataUrl],
-      func: async (imageDataUrl) => {
-        try {
-          // Convert data URL to blob
-          const response = await fetch(imageDataUrl);
-          const blob = await response.blob();
-
-          // Use Clipboard API to write the image blob
-          await navigator.clipboard.write([
-            new ClipboardItem({
-              [blob.type]: blob,
-            }),
-          ]);
-          chrome.runtime.sendMessage({ action: 'copySuccess' });
-        } catch (err) {
-          console.error(
-            'Error copying image to clipboard in content script:',
-            err,
-          );
-          chrome.runtime.sendMessage({ action: 'copyError' });
-        }
-      },
-    });
+    let copied = false;
+    if (canInjectIntoTab(tab)) {
+      try {
+        // Inject a script into the tab to copy the image to the clipboard
+        const [injection] = await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          args: [dataUrl],
+          func: async (imageDataUrl) => {
+            try {
+              // Convert data URL to blob
+              const response = await fetch(imageDataUrl);
+              const blob = await response.blob();
+
+              // Use Clipboard API to write the image blob
+              await navigator.clipboard.write([
+                new ClipboardItem({
+                  [blob.type]: blob,
+                }),
+              ]);
+              return true;
+            } catch (err) {
+              console.error(
+                'Error copying image to clipboard in content script:',
+                err,
+              );
+              return false;
+            }
+          },
+        });
+        copied = injection?.result === true;
+      } catch (error) {
+        console.warn(`Could not copy screenshot in tab ${tabId}:`, error);
+      }
+    }
+
+    if (!copied) {
+      copied = await copyViaOffscreenDocument({
+        action: 'copyImage',
+        dataUrl,
+      });
+    }
+    showBadgeText(copied ? '✔️' : '⚠️', !copied);
   } catch (error) {
     console.error('Failed to capture and copy screenshot:', error);
     showBadgeText('🖼️❌', true); // Using a different error badge for screenshot specific error
@@ -473,63 +511,100 @@ async function captureAndCopyScreenshot(tabId) {
 }
 
 /**
- * Performs single-click action using the user's custom single-click format
- * @param {chrome.tabs.Tab[]} tabs - An array of tab objects.
- * @returns {Promise<void>} Promise that resolves when operation is complete
- * @description Gets user's single-click format from storage and applies it with auto-detected action
+ * Path of the offscreen document used as a clipboard backend.
+ * @type {string}
+ * @constant
  */
-async function performSingleClickAction(tabs) {
-  performClickAction(tabs, 'single');
-}
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
 
 /**
- * Performs double-click action using the user's custom double-click format
- * @param {chrome.tabs.Tab[]} tabs - An array of tab objects.
- * @returns {Promise<void>} Promise that resolves when operation is complete
- * @description Gets user's double-click format from storage and applies it with auto-detected action
+ * Pending creation of the offscreen document, so concurrent copies don't try
+ * to create it twice.
+ * @type {Promise<void>|null}
  */
-async function performDoubleClickAction(tabs) {
-  performClickAction(tabs, 'double');
-}
+let creatingOffscreenDocument = null;
 
 /**
- * Performs triple-click action using the user's custom triple-click format
- * @param {chrome.tabs.Tab[]} tabs - An array of tab objects.
- * @returns {Promise<void>} Promise that resolves when operation is complete
- * @description Gets user's triple-click format from storage and applies it with auto-detected action
+ * Creates the offscreen clipboard document if it isn't open yet.
+ * @returns {Promise<void>} Promise that resolves when the document is ready
  */
-async function performTripleClickAction(tabs) {
-  performClickAction(tabs, 'triple');
-}
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)],
+  });
+  if (contexts.length > 0) {
+    return;
+  }
 
-async function performFourthClickAction(tabs) {
-  performClickAction(tabs, 'fourth');
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ['CLIPBOARD'],
+        justification:
+          'Copy to the clipboard on pages where scripts cannot run',
+      })
+      .finally(() => {
+        creatingOffscreenDocument = null;
+      });
+  }
+  await creatingOffscreenDocument;
 }
 
-async function performFifthClickAction(tabs) {
-  performClickAction(tabs, 'fifth');
+/**
+ * Sends a clipboard request to the offscreen document.
+ * @param {Object} message - The request, e.g. `{ action: 'copyText', text, html }`.
+ * @returns {Promise<boolean>} True if the offscreen document reports success
+ */
+async function copyViaOffscreenDocument(message) {
+  try {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({
+      ...message,
+      target: 'offscreen',
+    });
+    return response?.success === true;
+  } catch (error) {
+    console.error('Failed to copy through the offscreen document:', error);
+    return false;
+  }
 }
 
 /**
  * Copies specified text to clipboard using the most compatible method available
- * @param {number} tabId - The ID of the tab to execute the script in
+ * @param {number|undefined} tabId - The ID of the tab to execute the script in, if any
  * @param {string} textToCopy - The text content to copy to clipboard
+ * @param {string} [htmlToCopy] - Optional rich text version, written as text/html alongside the text
  * @returns {Promise<void>} Promise that resolves when copy operation is complete
- * @description First tries navigator.clipboard.writeText, falls back to document.execCommand if needed
+ * @description Copies from within the page first: tries the async Clipboard API,
+ *              then falls back to document.execCommand. If the page can't be
+ *              scripted or both fail, copies through the offscreen document.
  */
-async function copyTextToClipboard(tabId, textToCopy) {
-  try {
-    await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      args: [textToCopy],
-      func: (text) => {
-        // try to use navigator.clipboard.writeText first
-        navigator.clipboard.writeText(text).then(
-          () => {
-            // Send message to background script for success
-            chrome.runtime.sendMessage({ action: 'copySuccess' });
-          },
-          (err) => {
+async function copyTextToClipboard(tabId, textToCopy, htmlToCopy) {
+  let copied = false;
+
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  if (canInjectIntoTab(tab)) {
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        args: [textToCopy, htmlToCopy ?? null],
+        func: async (text, html) => {
+          try {
+            // try to use the async clipboard API first, with both MIME types in one item
+            if (html) {
+              await navigator.clipboard.write([
+                new ClipboardItem({
+                  'text/plain': new Blob([text], { type: 'text/plain' }),
+                  'text/html': new Blob([html], { type: 'text/html' }),
+                }),
+              ]);
+            } else {
+              await navigator.clipboard.writeText(text);
+            }
+            return true;
+          } catch (err) {
             // might encounter error: Failed to execute 'writeText' on 'Clipboard': Document is not focused.
             // fallback to use hidden textarea
             const textArea = document.createElement('textarea');
@@ -542,51 +617,134 @@ async function copyTextToClipboard(tabId, textToCopy) {
             textArea.focus();
             textArea.select();
 
+            // The textarea only carries plain text, so set both flavors on the copy event
+            const onCopy = (event) => {
+              if (html && event.clipboardData) {
+                event.clipboardData.setData('text/plain', text);
+                event.clipboardData.setData('text/html', html);
+                event.preventDefault();
+              }
+            };
+            document.addEventListener('copy', onCopy, true);
+
+            let success = false;
             try {
-              document.execCommand('copy');
-              // Send message to background script for success
-              chrome.runtime.sendMessage({ action: 'copySuccess' });
+              success = document.execCommand('copy');
             } catch (err) {
-              // Send message to background script for error
-              chrome.runtime.sendMessage({ action: 'copyError' });
+              success = false;
             }
+            document.removeEventListener('copy', onCopy, true);
             document.body.removeChild(textArea);
-          },
-        );
-      },
+            return success;
+          }
+        },
+      });
+      copied = injection?.result === true;
+    } catch (error) {
+      console.warn(`Could not copy in tab ${tabId}:`, error);
+    }
+  }
+
+  if (!copied) {
+    copied = await copyViaOffscreenDocument({
+      action: 'copyText',
+      text: textToCopy,
+      html: htmlToCopy ?? null,
     });
+  }
+
+  if (copied) {
+    showBadgeText('✔️');
+  } else {
+    console.error('Failed to copy to clipboard.');
+    showBadgeText('⚠️', true);
+  }
+}
+
+/**
+ * Returns the number of clicks of the highest click slot that does something.
+ * @param {Object<string, string>} items - The `<type>ClickFormatType` settings.
+ * @returns {number} The number of clicks, at least 1.
+ */
+function getHighestConfiguredClick(items) {
+  for (let index = CLICK_TYPES.length - 1; index > 0; index--) {
+    if (items[`${CLICK_TYPES[index]}ClickFormatType`] !== 'do_nothing') {
+      return index + 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Saves the click sequence in progress to session storage, or clears it.
+ * @param {ClickState|null} state - The click sequence, or null to clear it.
+ * @returns {Promise<void>}
+ */
+async function saveClickState(state) {
+  clickState = state;
+  try {
+    if (state) {
+      await chrome.storage.session.set({ clickState: state });
+    } else {
+      await chrome.storage.session.remove('clickState');
+    }
   } catch (error) {
-    console.error('Failed to copy to clipboard:', error);
-    showBadgeText('Error', true);
+    console.warn('Could not save the click state:', error);
   }
 }
 
 /**
- * Registers a click handler with a delay, resetting clickCount after execution.
- * @param {(tabs: chrome.tabs.Tab[]) => Promise<void>} fn - The function to execute, accepting an array of tab parameters.
- * @param {chrome.tabs.Tab[]} tabs - The array of tab objects to pass to the handler function.
- * @param {number} [delay=0] - The delay in milliseconds before executing the function.
+ * Runs the action of the click sequence in progress and ends the sequence.
+ * @returns {Promise<void>}
  */
-const registerClick = (fn, tabs, delay = 0) => {
-  clickTimer = setTimeout(async () => {
-    await fn(tabs);
-    clickCount = 0; // Reset click count after action is performed
-  }, delay);
-};
+async function runClickAction() {
+  if (!clickState) {
+    return;
+  }
+  const { count, tabs } = clickState;
+  await saveClickState(null);
+  await performClickAction(tabs, CLICK_TYPES[count - 1]);
+}
+
+/**
+ * Restores a click sequence interrupted by a service worker restart. A
+ * sequence whose deadline has passed is dropped: running it late would
+ * surprise the user more than not running it.
+ * @returns {Promise<void>}
+ */
+async function restoreClickState() {
+  try {
+    const { clickState: state } = await chrome.storage.session.get({
+      clickState: null,
+    });
+    if (state && state.deadline > Date.now()) {
+      clickState = state;
+      clickTimer = setTimeout(runClickAction, state.deadline - Date.now());
+    } else if (state) {
+      await saveClickState(null);
+    }
+  } catch (error) {
+    console.warn('Could not restore the click state:', error);
+  }
+}
+
+/**
+ * Resolves once an interrupted click sequence has been restored
+ * @type {Promise<void>}
+ */
+const clickStateRestored = restoreClickState();
 
 /**
  * Event listener for extension action button clicks.
- * Handles single, double, and triple-click detection to trigger different actions
+ * Handles multi-click detection (up to five clicks) to trigger different actions
  * for all highlighted (selected) tabs in the current window.
  * @param {chrome.tabs.Tab} activeTab - The active tab when the action button was clicked.
  *        While this is provided, we will query for all highlighted tabs.
  * @description
  * - Queries for all highlighted tabs in the current window.
- * - Single click: Performs user-configured action with single-click format for selected tabs.
- * - Double click: Performs user-configured action with double-click format for selected tabs.
- * - Triple click: Performs user-configured action with triple-click format for selected tabs.
+ * - One to five clicks: Performs the user-configured action of that click slot for selected tabs.
  * Actions can be either copying to clipboard or opening URLs based on user configuration.
- * Uses a timer-based approach to distinguish between single, double, and triple clicks.
+ * Uses a timer-based approach to distinguish between the numbers of clicks.
  */
 chrome.action.onClicked.addListener(async (activeTab) => {
   // Query for all highlighted tabs in the current window
@@ -602,7 +760,6 @@ chrome.action.onClicked.addListener(async (activeTab) => {
     if (!activeTab || !activeTab.id) {
       console.error('No valid tab found for action.');
       showBadgeText('⚠️', true);
-      clickCount = 0; // Reset click count as the action cannot proceed
       return;
     }
     // Proceed with just the active tab if it's valid
@@ -617,77 +774,105 @@ chrome.action.onClicked.addListener(async (activeTab) => {
 
 /**
  * Handles the click timing and dispatches action for the given tabs.
+ * Each click waits for the multi-click delay for another one, except a click
+ * reaching the highest configured slot, which runs at once.
  * @param {chrome.tabs.Tab[]} tabs - The array of tabs to perform the action on.
+ * @returns {Promise<void>}
  */
-function performActionForTabs(tabs) {
-  clickCount++;
-
-  // Clear the timer but don't execute yet - wait for potential double or triple click
+async function performActionForTabs(tabs) {
+  const [items] = await Promise.all([
+    chrome.storage.sync.get({
+      ...DEFAULT_FORMAT_TYPES,
+      multiClickDelay: DEFAULT_MULTI_CLICK_DELAY,
+    }),
+    clickStateRestored,
+  ]);
+  const highestClick = getHighestConfiguredClick(items);
+
+  // No awaits from here on until the state is updated, so that clicks
+  // arriving in quick succession are counted in order
   clearTimeout(clickTimer);
-
-  if (clickCount === 1) {
-    registerClick(performSingleClickAction, tabs, MULTI_CLICK_DELAY);
-  } else if (clickCount === 2) {
-    registerClick(performDoubleClickAction, tabs, MULTI_CLICK_DELAY);
-  } else if (clickCount === 3) {
-    // For triple click, execute immediately (or after a very short delay if needed, though 0 is typical)
-    registerClick(performTripleClickAction, tabs, 0);
-    // clickCount is reset by registerClick's timeout
-  } else {
-    // More than 3 clicks - reset counter and effectively ignore this click train
-    clickCount = 0;
-  }
+  const count = clickState ? clickState.count + 1 : 1;
+  const delay = count >= highestClick ? 0 : items.multiClickDelay;
+  const state = {
+    count: Math.min(count, highestClick),
+    deadline: Date.now() + delay,
+    tabs: clickState ? clickState.tabs : tabs,
+  };
+  clickTimer = setTimeout(runClickAction, delay);
+  await saveClickState(state);
 }
 
 /**
- * Event listener for runtime messages from content scripts
- * Handles success and error messages from clipboard operations
- * @param {Object} message - Message object containing action type
- * @param {string} message.action - The action type ('copySuccess' or 'copyError')
- * @param {chrome.runtime.MessageSender} sender - Information about the sender
- * @param {function} sendResponse - Function to send response back to sender
- * @description Shows appropriate badge text based on copy operation result
+ * The entries of each format's submenu in the context menu, by what they act
+ * on, with the menu contexts they are shown in. The page entry formats the
+ * highlighted tabs like the toolbar button; the others format what was
+ * right-clicked.
+ * @type {Object<string, {title: string, contexts: chrome.contextMenus.ContextType[]}>}
+ * @constant
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'copySuccess') {
-    showBadgeText('✔️'); // Standard success badge
-  } else if (message.action === 'copyError') {
-    showBadgeText('⚠️', true); // Standard error badge
+const MENU_TARGETS = {
+  page: { title: 'Page or selected tabs', contexts: ['all'] },
+  link: { title: 'Link', contexts: ['link'] },
+  image: { title: 'Image', contexts: ['image'] },
+  selection: { title: 'Selection', contexts: ['selection'] },
+  frame: { title: 'Frame', contexts: ['frame'] },
+};
+
+/**
+ * The id of the context menu item grouping the library formats.
+ * @type {string}
+ * @constant
+ */
+const LIBRARY_MENU_ID = 'library-formats';
+
+/**
+ * Adds a format's submenu to the context menu. The submenu is identified by
+ * the format value and its entries by '<target>:<format value>', e.g.
+ * 'link:double' or 'page:library:4f1c…'. Each entry is only shown in its
+ * target's contexts, so right-clicking a link offers the page and the link.
+ * @param {string} format - The format value, as `performAssignedFormat` takes.
+ * @param {string} title - The title of the submenu.
+ * @param {string} [parentId] - The menu item to nest the submenu in.
+ */
+function createFormatMenu(format, title, parentId) {
+  chrome.contextMenus.create({
+    id: format,
+    parentId,
+    title,
+    contexts: ['all'],
+  });
+  for (const [targetType, { title: targetTitle, contexts }] of Object.entries(
+    MENU_TARGETS,
+  )) {
+    chrome.contextMenus.create({
+      id: `${targetType}:${format}`,
+      parentId: format,
+      title: targetTitle,
+      contexts,
+    });
   }
-  // Note: captureAndCopyScreenshot has its own error badge '🖼️❌' for capture phase errors.
-  // If content script copy fails for screenshot, it will use '⚠️'.
-});
+}
 
+/**
+ * Rebuilds the context menu: a submenu per click slot, then the library
+ * formats, grouped in a submenu of their own.
+ * @returns {Promise<void>}
+ */
 async function updateContextMenus() {
   await chrome.contextMenus.removeAll();
 
   // Also load the actual format strings for custom types
   const items = await chrome.storage.sync.get({
-    singleClickFormatType: DEFAULT_FORMAT_TYPES.singleClickFormatType,
-    doubleClickFormatType: DEFAULT_FORMAT_TYPES.doubleClickFormatType,
-    tripleClickFormatType: DEFAULT_FORMAT_TYPES.tripleClickFormatType,
-    fourthClickFormatType: DEFAULT_FORMAT_TYPES.fourthClickFormatType,
-    fifthClickFormatType: DEFAULT_FORMAT_TYPES.fifthClickFormatType,
+    ...DEFAULT_FORMAT_TYPES,
     // Add format strings, with defaults from FALLBACK_FORMATS
-    singleClickFormat: FALLBACK_FORMATS.singleClickFormat,
-    doubleClickFormat: FALLBACK_FORMATS.doubleClickFormat,
-    tripleClickFormat: FALLBACK_FORMATS.tripleClickFormat,
-    fourthClickFormat: FALLBACK_FORMATS.fourthClickFormat,
-    fifthClickFormat: FALLBACK_FORMATS.fifthClickFormat,
+    ...FALLBACK_FORMATS,
+    formatLibrary: [],
   });
 
-  const clickTypes = [
-    { type: 'single', emoji: '1️⃣' },
-    { type: 'double', emoji: '2️⃣' },
-    { type: 'triple', emoji: '3️⃣' },
-    { type: 'fourth', emoji: '4️⃣' },
-    { type: 'fifth', emoji: '5️⃣' },
-  ];
-
-  for (const click of clickTypes) {
-    const formatTypeKey = `${click.type}ClickFormatType`;
-    const formatKey = `${click.type}ClickFormat`;
-    const menuId = `${click.type}-click`;
+  CLICK_TYPES.forEach((type, index) => {
+    const formatTypeKey = `${type}ClickFormatType`;
+    const formatKey = `${type}ClickFormat`;
 
     let title;
     const formatType = items[formatTypeKey];
@@ -702,22 +887,125 @@ async function updateContextMenus() {
         title = customFormat;
       }
     } else {
-      title = ACTION_DESCRIPTIONS[formatType]?.name || 'Unknown';
+      title = getFormatTypeName(formatType, items.formatLibrary);
     }
 
+    createFormatMenu(type, `${CLICK_EMOJIS[index]} ${title}`);
+  });
+
+  if (items.formatLibrary.length > 0) {
     chrome.contextMenus.create({
-      id: menuId,
-      title: `${click.emoji} ${title}`,
+      id: LIBRARY_MENU_ID,
+      title: 'Library formats',
       contexts: ['all'],
     });
   }
+  items.formatLibrary.forEach((format) => {
+    createFormatMenu(
+      `${LIBRARY_FORMAT_TYPE_PREFIX}${format.id}`,
+      getLibraryFormatLabel(format),
+      LIBRARY_MENU_ID,
+    );
+  });
 }
 
+/**
+ * Returns the formats listed in the format picker: the click slots that do
+ * something, then the library formats.
+ * @returns {Promise<Array<{format: string, label: string, settings: FormatSettings}>>}
+ *   The formats, each with the format value `performAssignedFormat` takes.
+ */
+async function getPickerFormats() {
+  const items = await chrome.storage.sync.get({
+    ...DEFAULT_FORMAT_TYPES,
+    formatLibrary: [],
+  });
+  const formats = [];
+  for (const [index, type] of CLICK_TYPES.entries()) {
+    const settings = await getClickFormatSettings(type);
+    if (!settings || !settings.template || settings.template === 'do_nothing') {
+      continue;
+    }
+    const name = getFormatTypeName(
+      items[`${type}ClickFormatType`],
+      items.formatLibrary,
+    );
+    formats.push({
+      format: type,
+      label: `${CLICK_EMOJIS[index]} ${name}`,
+      settings,
+    });
+  }
+  items.formatLibrary.forEach((format) => {
+    formats.push({
+      format: `${LIBRARY_FORMAT_TYPE_PREFIX}${format.id}`,
+      label: getLibraryFormatLabel(format),
+      settings: getLibraryFormatSettings(format),
+    });
+  });
+  return formats;
+}
+
+/**
+ * Makes the action button open the format picker in 'picker' mode, and count
+ * clicks otherwise. Without a popup, clicks reach `chrome.action.onClicked`.
+ * @returns {Promise<void>}
+ */
+async function updateActionPopup() {
+  try {
+    const { actionButtonMode } = await chrome.storage.sync.get({
+      actionButtonMode: DEFAULT_ACTION_BUTTON_MODE,
+    });
+    await chrome.action.setPopup({
+      popup: actionButtonMode === 'picker' ? FORMAT_PICKER_PATH : '',
+    });
+  } catch (error) {
+    console.error('Error updating the action popup:', error);
+  }
+}
+
+/**
+ * Handles messages from the format picker.
+ * @param {Object} message - Message object
+ * @param {string} message.target - Must be 'background' for this worker to respond
+ * @param {string} message.action - 'getPickerFormats' or 'performFormat'
+ * @param {chrome.runtime.MessageSender} sender - Information about the sender
+ * @param {function} sendResponse - Receives `{ formats }` for 'getPickerFormats'
+ * @returns {boolean|undefined} True to keep the channel open for the async response
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'background') {
+    return;
+  }
+
+  if (message.action === 'getPickerFormats') {
+    getPickerFormats()
+      .then((formats) => sendResponse({ formats }))
+      .catch((error) => {
+        console.error('Error listing the picker formats:', error);
+        sendResponse({ formats: [] });
+      });
+    return true;
+  } else if (message.action === 'performFormat') {
+    // The picker has closed by now, so the tabs it previewed are passed along
+    // and failures are reported on the badge, as for clicks
+    performAssignedFormat(message.tabs, message.format)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('Error performing the picked format:', error);
+        showBadgeText('⚠️', true);
+        sendResponse({ success: false });
+      });
+    return true;
+  }
+});
+
 // -- listeners for updating the action button title --
 
 // Update the title when the extension is first installed or updated
 chrome.runtime.onInstalled.addListener(() => {
   updateActionButtonTitle();
+  updateActionPopup();
   updateContextMenus();
 });
 
@@ -730,15 +1018,27 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
       'tripleClickFormatType',
       'fourthClickFormatType',
       'fifthClickFormatType',
+      'formatLibrary',
     ];
     if (formatKeys.some((key) => key in changes)) {
       updateActionButtonTitle();
       updateContextMenus();
     }
+    if ('actionButtonMode' in changes) {
+      updateActionButtonTitle();
+      updateActionPopup();
+    }
   }
 });
 
-chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+/**
+ * Returns the tabs an action from the context menu or a command applies to:
+ * the highlighted tabs of the current window, or else the given tab.
+ * @param {chrome.tabs.Tab|undefined} tab - The tab the event came from.
+ * @returns {Promise<chrome.tabs.Tab[]|null>} The tabs, or null (after
+ *   showing an error badge) if there is no valid tab.
+ */
+async function getTabsToUse(tab) {
   const highlightedTabs = await chrome.tabs.query({
     highlighted: true,
     currentWindow: true,
@@ -747,30 +1047,84 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   const tabsToUse =
     !highlightedTabs || highlightedTabs.length === 0 ? [tab] : highlightedTabs;
   if (!tabsToUse[0] || !tabsToUse[0].id) {
+    console.error('No valid tab found for action.');
+    showBadgeText('⚠️', true);
+    return null;
+  }
+  return tabsToUse;
+}
+
+/**
+ * Returns what a context menu entry acts on, from the menu's click data.
+ * @param {chrome.contextMenus.OnClickData} info - The click data.
+ * @param {string} targetType - 'link', 'image', 'selection' or 'frame'.
+ * @returns {MenuTarget} The menu target. Its link text is empty unless the
+ *   browser reports it; `collectMenuTargetData` reads it from the page.
+ */
+function getMenuTarget(info, targetType) {
+  return {
+    type: targetType,
+    frameId: info.frameId ?? 0,
+    // Firefox reports the link's text; elsewhere it is read from the page
+    linkText: /** @type {{linkText?: string}} */ (info).linkText || '',
+    linkUrl: info.linkUrl || '',
+    srcUrl: info.srcUrl || '',
+    imageAlt: '',
+    frameUrl: info.frameUrl || '',
+    selectionText: info.selectionText || '',
+  };
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const menuItemId = String(info.menuItemId);
+  const targetType = menuItemId.slice(0, menuItemId.indexOf(':'));
+  const format = menuItemId.slice(menuItemId.indexOf(':') + 1);
+  if (!MENU_TARGETS[targetType]) {
+    return;
+  }
+
+  if (targetType === 'page') {
+    const tabsToUse = await getTabsToUse(tab);
+    if (tabsToUse) {
+      performAssignedFormat(tabsToUse, format);
+    }
+    return;
+  }
+  // Right-clicked content belongs to the tab it was clicked in
+  if (!tab || !tab.id) {
     console.error('No valid tab found for action.');
     showBadgeText('⚠️', true);
     return;
   }
+  performAssignedFormat([tab], format, getMenuTarget(info, targetType));
+});
 
-  switch (info.menuItemId) {
-    case 'single-click':
-      performSingleClickAction(tabsToUse);
-      break;
-    case 'double-click':
-      performDoubleClickAction(tabsToUse);
-      break;
-    case 'triple-click':
-      performTripleClickAction(tabsToUse);
-      break;
-    case 'fourth-click':
-      performFourthClickAction(tabsToUse);
-      break;
-    case 'fifth-click':
-      performFifthClickAction(tabsToUse);
-      break;
+/**
+ * Handles the format commands, which copy with the format chosen for them on
+ * the options page: a click slot's format or a library format.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!command.startsWith(FORMAT_COMMAND_PREFIX)) {
+    return;
+  }
+  const { commandFormats } = await chrome.storage.sync.get({
+    commandFormats: DEFAULT_COMMAND_FORMATS,
+  });
+  const format =
+    commandFormats[command] ?? DEFAULT_COMMAND_FORMATS[command] ?? '';
+  if (!format) {
+    console.info(`No format is assigned to ${command}.`);
+    return;
+  }
+
+  const tabsToUse = await getTabsToUse(tab);
+  if (!tabsToUse) {
+    return;
   }
+  performAssignedFormat(tabsToUse, format);
 });
 
 // Call the function on startup
 updateActionButtonTitle();
+updateActionPopup();
 updateContextMenus();
@@ -0,0 +1,2800 @@
+/**
+ * @fileoverview Formatting logic shared by the background service worker and
+ * the options page: URL cleaning, title preprocessing, template placeholders,
+ * filters and sections, output languages, and rendering a copy for a set of tabs.
+ * Loaded with importScripts() in background.js and a script tag in options.html,
+ * after rule_packs.js.
+ */
+
+/**
+ * Default layout used to join the formatted tabs of a copy: the header, the
+ * separator between items and the footer. Stored per click type as
+ * `<type>ClickPrefix`, `<type>ClickSeparator` and `<type>ClickSuffix`.
+ * @type {{prefix: string, separator: string, suffix: string}}
+ * @constant
+ */
+const DEFAULT_LIST_LAYOUT = {
+  prefix: '',
+  separator: '\\n\\n',
+  suffix: '',
+};
+
+/**
+ * Default output language of a format (a key of `OUTPUT_LANGUAGES`).
+ * @type {string}
+ * @constant
+ */
+const DEFAULT_OUTPUT_LANGUAGE = 'plain';
+
+/**
+ * Default rich text settings: how the text/html version of a copy is produced
+ * ('none', 'markdown' or 'template') and the HTML template used by 'template'.
+ * @type {{mode: string, format: string}}
+ * @constant
+ */
+const DEFAULT_HTML_SETTINGS = {
+  mode: 'none',
+  format: '',
+};
+
+/**
+ * Detects if a format template starts with a URL scheme
+ * @param {string} format - The format template to check
+ * @returns {boolean} True if the format starts with a URL scheme
+ */
+function isUrlFormat(format) {
+  if (!format || typeof format !== 'string') {
+    return false;
+  }
+
+  return format.includes('://');
+}
+
+/**
+ * A per-site URL cleaning rule.
+ * @typedef {Object} DomainCleaningRule
+ * @property {string} domain - The domain the rule applies to, including its
+ *   subdomains (e.g. 'youtube.com').
+ * @property {string[]} remove - Extra parameter patterns to remove on the site.
+ * @property {string[]} keep - Parameter patterns to keep on the site, even if
+ *   another pattern or an imported rule list would remove them.
+ */
+
+/**
+ * The user's URL cleaning settings, stored in sync storage as `urlCleaning`.
+ * Parameter patterns may use `*` as a wildcard (e.g. 'utm_*').
+ * @typedef {Object} UrlCleaningSettings
+ * @property {boolean} enabled - Whether copied URLs are cleaned at all.
+ * @property {string[]} parameters - Parameter patterns removed on every site.
+ * @property {DomainCleaningRule[]} domainRules - Per-site rules.
+ * @property {boolean} unwrapRedirects - Whether redirect wrappers and AMP
+ *   cache URLs are replaced by the URL they point to.
+ * @property {string[]} wrapperPatterns - The user's own redirect wrappers, in
+ *   the format of `REDIRECT_WRAPPERS`.
+ * @property {boolean} useCanonical - Whether the page's canonical URL is
+ *   copied instead of the address bar URL, when the page declares one.
+ */
+
+/**
+ * Default URL cleaning settings, matching what the extension always removed.
+ * @type {UrlCleaningSettings}
+ * @constant
+ */
+const DEFAULT_URL_CLEANING_SETTINGS = {
+  enabled: true,
+  parameters: [
+    'utm_source',
+    'utm_medium',
+    'utm_campaign',
+    'utm_term',
+    'utm_content',
+    'gclid',
+    'fbclid',
+    'msclkid',
+  ],
+  domainRules: [],
+  unwrapRedirects: true,
+  wrapperPatterns: [],
+  useCanonical: false,
+};
+
+/**
+ * Google's search domains. `*` matches a single label, so country domains
+ * under a second-level suffix (google.co.uk, google.com.au) need their own
+ * pattern.
+ * @type {string[]}
+ * @constant
+ */
+const GOOGLE_DOMAINS = ['google.*', 'google.co.*', 'google.com.*'];
+
+/**
+ * Known redirect wrappers, written as `host/path?parameter`: URLs on the host
+ * (or a subdomain; `*` is a wildcard for one label) whose path starts with
+ * the path carry the destination URL in the parameter.
+ * @type {string[]}
+ * @constant
+ */
+const REDIRECT_WRAPPERS = [
+  ...GOOGLE_DOMAINS.flatMap((domain) => [
+    `${domain}/url?q`,
+    `${domain}/url?url`,
+  ]),
+  'l.facebook.com/l.php?u',
+  'lm.facebook.com/l.php?u',
+  'l.instagram.com/?u',
+  'l.messenger.com/l.php?u',
+  'safelinks.protection.outlook.com/?url',
+  'slack-redir.net/link?url',
+  'youtube.com/redirect?q',
+  'linkedin.com/redir/redirect?url',
+  'out.reddit.com/?url',
+  'steamcommunity.com/linkfilter/?url',
+  'disq.us/url?url',
+  'href.li/?url',
+  'vk.com/away.php?to',
+  'away.vk.com/away.php?to',
+];
+
+/**
+ * How many wrappers are unwrapped at most, for wrappers inside wrappers.
+ * @type {number}
+ * @constant
+ */
+const MAX_UNWRAP_DEPTH = 5;
+
+/**
+ * A provider of an imported ClearURLs rule list: the parameters (regular
+ * expressions matched against whole parameter names) to remove from the URLs
+ * its pattern matches.
+ * @typedef {Object} ClearUrlsProvider
+ * @property {string} name - The provider name (e.g. 'amazon').
+ * @property {string} urlPattern - Regular expression of the URLs it applies to.
+ * @property {string[]} rules - Parameter name patterns to remove.
+ * @property {string[]} rawRules - Patterns removed from the URL text itself.
+ * @property {string[]} exceptions - URL patterns the provider skips.
+ */
+
+/**
+ * An imported rule list, stored in local storage under `urlCleaningRuleLists`
+ * (rule lists are too large for sync storage).
+ * @typedef {Object} UrlCleaningRuleList
+ * @property {string} name - The name of the list, usually its file name.
+ * @property {ClearUrlsProvider[]} providers - The providers of the list.
+ */
+
+/**
+ * Everything `cleanUrl` needs: the user's settings and the imported lists.
+ * @typedef {Object} UrlCleaningConfig
+ * @property {UrlCleaningSettings} settings - The user's settings.
+ * @property {UrlCleaningRuleList[]} ruleLists - The imported rule lists.
+ */
+
+/**
+ * Compiled regular expressions, keyed by their source. Imported lists hold
+ * hundreds of patterns, so they are only compiled once.
+ * @type {Map<string, RegExp|null>}
+ */
+const compiledPatterns = new Map();
+
+/**
+ * Compiles a regular expression once, ignoring case.
+ * @param {string} source - The regular expression source.
+ * @returns {RegExp|null} The regular expression, or null if it is invalid.
+ */
+function compilePattern(source) {
+  if (!compiledPatterns.has(source)) {
+    let pattern = null;
+    try {
+      pattern = new RegExp(source, 'i');
+    } catch (error) {
+      console.warn(`Ignoring invalid pattern "${source}":`, error);
+    }
+    compiledPatterns.set(source, pattern);
+  }
+  return compiledPatterns.get(source);
+}
+
+/**
+ * Checks a parameter name against user patterns, where `*` matches any run of
+ * characters and everything else is literal.
+ * @param {string} name - The parameter name.
+ * @param {string[]} patterns - The patterns (e.g. ['utm_*', 'ref_src']).
+ * @returns {boolean} True if any pattern matches the whole name.
+ */
+function matchesParameterPattern(name, patterns) {
+  return patterns.some((pattern) => {
+    const source = wildcardToRegExpSource(pattern.trim());
+    return source !== '' && compilePattern(`^${source}$`)?.test(name);
+  });
+}
+
+/**
+ * Converts a pattern where `*` matches any run of characters into the source
+ * of an equivalent regular expression.
+ * @param {string} pattern - The wildcard pattern.
+ * @param {string} [wildcard='.*'] - The regular expression `*` stands for.
+ * @returns {string} The regular expression source.
+ */
+function wildcardToRegExpSource(pattern, wildcard = '.*') {
+  return pattern
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join(wildcard);
+}
+
+/**
+ * Checks whether a hostname belongs to a domain or one of its subdomains.
+ * The domain may use `*` as a wildcard for a single label (e.g. 'google.*'
+ * matches google.de but not google.example.com).
+ * @param {string} hostname - The hostname (e.g. 'www.youtube.com').
+ * @param {string} domain - The domain (e.g. 'youtube.com').
+ * @returns {boolean} True if the hostname is the domain or a subdomain of it.
+ */
+function matchesDomain(hostname, domain) {
+  const normalizedDomain = domain
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?\./, '');
+  if (normalizedDomain === '') {
+    return false;
+  }
+  if (normalizedDomain.includes('*')) {
+    const source = wildcardToRegExpSource(normalizedDomain, '[^.]+');
+    return compilePattern(`^(?:.+\\.)?${source}$`).test(hostname);
+  }
+  return (
+    hostname === normalizedDomain || hostname.endsWith(`.${normalizedDomain}`)
+  );
+}
+
+/**
+ * Reads the destination of a URL if it is a redirect wrapper.
+ * @param {URL} url - The URL to check.
+ * @param {string[]} wrappers - Wrapper patterns (`host/path?parameter`).
+ * @returns {string|null} The destination URL, or null if the URL is not a
+ *   known wrapper.
+ */
+function getWrappedUrl(url, wrappers) {
+  const hostname = url.hostname.toLowerCase();
+  for (const wrapper of wrappers) {
+    const match = wrapper.trim().match(/^([^/?]+)(\/[^?]*)?\?(.+)$/);
+    if (
+      !match ||
+      !matchesDomain(hostname, match[1]) ||
+      !url.pathname.startsWith(match[2] || '/')
+    ) {
+      continue;
+    }
+    const destination = url.searchParams.get(match[3]);
+    if (destination && /^https?:\/\//i.test(destination)) {
+      return destination;
+    }
+  }
+  return null;
+}
+
+/**
+ * Maps an AMP cache URL (Google's AMP viewer or an ampproject.org cache) to
+ * the URL of the page it serves.
+ * @param {URL} url - The URL to check.
+ * @returns {string|null} The original page URL, or null if the URL is not an
+ *   AMP cache URL.
+ */
+function getAmpSourceUrl(url) {
+  const hostname = url.hostname.toLowerCase();
+  let path = null;
+  if (
+    GOOGLE_DOMAINS.some((domain) => matchesDomain(hostname, domain)) &&
+    url.pathname.startsWith('/amp/')
+  ) {
+    // https://www.google.com/amp/s/example.com/article
+    path = url.pathname.slice('/amp/'.length);
+  } else if (hostname.endsWith('.cdn.ampproject.org')) {
+    // https://example-com.cdn.ampproject.org/c/s/example.com/article
+    path = url.pathname.replace(/^\/[a-z]{1,2}(?=\/)/, '').slice(1);
+  }
+  if (!path) {
+    return null;
+  }
+  // A leading 's/' marks an https page
+  const source = parseUrl(
+    path.startsWith('s/') ? `https://${path.slice(2)}` : `http://${path}`,
+  );
+  if (!source) {
+    return null;
+  }
+  // Keep the page's own query, without the parameters added by the cache
+  for (const [name, value] of url.searchParams) {
+    if (!/^(amp_|usqp$)/.test(name)) {
+      source.searchParams.append(name, value);
+    }
+  }
+  source.hash = url.hash;
+  return source.toString();
+}
+
+/**
+ * Replaces redirect wrappers and AMP cache URLs with the URL they point to.
+ * Everything is decoded from the URL itself, without network requests.
+ * @param {string} urlString - The URL to unwrap.
+ * @param {UrlCleaningSettings} settings - The URL cleaning settings.
+ * @returns {string} The destination URL, or the URL itself if it is not
+ *   wrapped.
+ */
+function unwrapUrl(urlString, settings) {
+  if (!urlString || !settings.unwrapRedirects) {
+    return urlString || '';
+  }
+  const wrappers = [...settings.wrapperPatterns, ...REDIRECT_WRAPPERS];
+  let current = urlString;
+  for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+    const url = parseUrl(current);
+    const next = url && (getWrappedUrl(url, wrappers) || getAmpSourceUrl(url));
+    if (!next) {
+      break;
+    }
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * Removes tracking parameters from a URL according to the URL cleaning
+ * settings and the imported rule lists. Site rules can keep parameters that
+ * would otherwise be removed.
+ * @param {string} urlString - The URL to clean.
+ * @param {UrlCleaningConfig} config - The URL cleaning configuration.
+ * @returns {{url: string, removed: string[]}} The cleaned URL (the original
+ *   string if nothing was removed) and the names of the removed parameters.
+ */
+function cleanUrl(urlString, config) {
+  const unchanged = { url: urlString || '', removed: [] };
+  const { settings, ruleLists } = config;
+  if (!urlString || !settings.enabled) {
+    return unchanged;
+  }
+
+  let rawCleaned = urlString;
+  const providerRules = [];
+  for (const { providers } of ruleLists) {
+    for (const provider of providers) {
+      const appliesToUrl =
+        compilePattern(provider.urlPattern)?.test(urlString) &&
+        !provider.exceptions.some((exception) =>
+          compilePattern(exception)?.test(urlString),
+        );
+      if (!appliesToUrl) {
+        continue;
+      }
+      providerRules.push(...provider.rules);
+      for (const rawRule of provider.rawRules) {
+        const pattern = compilePattern(rawRule);
+        if (pattern) {
+          rawCleaned = rawCleaned.replace(new RegExp(pattern.source, 'gi'), '');
+        }
+      }
+    }
+  }
+
+  let url;
+  try {
+    url = new URL(rawCleaned);
+  } catch (error) {
+    console.error('Failed to parse URL for cleaning:', error);
+    return unchanged; // Return original URL on error
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  const siteRules = settings.domainRules.filter((rule) =>
+    matchesDomain(hostname, rule.domain),
+  );
+  const keep = siteRules.flatMap((rule) => rule.keep);
+  const remove = [
+    ...settings.parameters,
+    ...siteRules.flatMap((rule) => rule.remove),
+  ];
+
+  const removed = [];
+  for (const name of new Set(url.searchParams.keys())) {
+    const shouldRemove =
+      (matchesParameterPattern(name, remove) ||
+        providerRules.some((rule) =>
+          compilePattern(`^(?:${rule})$`)?.test(name),
+        )) &&
+      !matchesParameterPattern(name, keep);
+    if (shouldRemove) {
+      url.searchParams.delete(name);
+      removed.push(name);
+    }
+  }
+
+  // Only return a new string if something was removed, to preserve the
+  // original URL otherwise
+  if (removed.length === 0 && rawCleaned === urlString) {
+    return unchanged;
+  }
+  return { url: url.toString(), removed };
+}
+
+/**
+ * Works out the URL copied for a tab: the page's canonical URL if the user
+ * prefers it, with redirect wrappers unwrapped and tracking parameters removed.
+ * @param {string} tabUrl - The URL in the tab's address bar.
+ * @param {string} canonical - The page's canonical URL, if it declares one.
+ * @param {UrlCleaningConfig} config - The URL cleaning configuration.
+ * @returns {string} The URL to copy.
+ */
+function getCopyUrl(tabUrl, canonical, config) {
+  const source =
+    config.settings.useCanonical && /^https?:\/\//i.test(canonical)
+      ? canonical
+      : tabUrl;
+  return cleanUrl(unwrapUrl(source, config.settings), config).url;
+}
+
+/**
+ * Reads a rule list in the ClearURLs JSON format
+ * (`{"providers": {"name": {"urlPattern": ..., "rules": [...]}}}`).
+ * Referral marketing parameters are removed like any other rule; redirections
+ * and blocked domains are not supported and are ignored.
+ * @param {string} name - The name to give the list.
+ * @param {string} json - The contents of the rule list file.
+ * @returns {UrlCleaningRuleList} The rule list.
+ * @throws {Error} If the file is not a ClearURLs rule list.
+ */
+function parseClearUrlsRuleList(name, json) {
+  const data = JSON.parse(json);
+  if (!data || typeof data.providers !== 'object' || !data.providers) {
+    throw new Error('The file has no "providers" object.');
+  }
+
+  const stringList = (value) =>
+    Array.isArray(value)
+      ? value.filter((item) => typeof item === 'string')
+      : [];
+  const providers = Object.entries(data.providers)
+    .filter(
+      ([, provider]) => provider && typeof provider.urlPattern === 'string',
+    )
+    .map(([providerName, provider]) => ({
+      name: providerName,
+      urlPattern: provider.urlPattern,
+      rules: [
+        ...stringList(provider.rules),
+        ...stringList(provider.referralMarketing),
+      ],
+      rawRules: stringList(provider.rawRules),
+      exceptions: stringList(provider.exceptions),
+    }))
+    .filter((provider) => provider.rules.length || provider.rawRules.length);
+
+  if (providers.length === 0) {
+    throw new Error('The file has no providers with rules.');
+  }
+  return { name, providers };
+}
+
+/**
+ * Reads the URL cleaning configuration from storage.
+ * @returns {Promise<UrlCleaningConfig>} The URL cleaning configuration.
+ */
+async function loadUrlCleaningConfig() {
+  const [syncResult, localResult] = await Promise.all([
+    chrome.storage.sync.get({ urlCleaning: DEFAULT_URL_CLEANING_SETTINGS }),
+    chrome.storage.local.get({ urlCleaningRuleLists: [] }),
+  ]);
+  return {
+    settings: { ...DEFAULT_URL_CLEANING_SETTINGS, ...syncResult.urlCleaning },
+    ruleLists: localResult.urlCleaningRuleLists,
+  };
+}
+
+/**
+ * An action of a title preprocessing rule. The meaning of the values depends
+ * on the type: the text to add, remove or replace, a regular expression and
+ * its replacement (`$1` refers to a capture group), or the case to change to.
+ * @typedef {Object} TitleAction
+ * @property {string} type - 'add_prefix', 'add_suffix', 'remove', 'replace',
+ *   'regex_remove', 'regex_replace', 'extract', 'trim', 'collapse_whitespace'
+ *   or 'change_case'.
+ * @property {string} value1 - The text, pattern or case.
+ * @property {string} [value2] - The replacement, for 'replace' and
+ *   'regex_replace'.
+ * @property {string} [flags] - Regular expression flags (e.g. 'gi').
+ */
+
+/**
+ * Compiles the regular expression of a title action.
+ * @param {TitleAction} action - A 'regex_remove', 'regex_replace' or
+ *   'extract' action.
+ * @returns {RegExp|null} The regular expression, or null if it is invalid.
+ */
+function createTitleActionRegExp(action) {
+  try {
+    // 'extract' keeps the first match, which a global regex can't report
+    const flags =
+      action.type === 'extract'
+        ? (action.flags || '').replace('g', '')
+        : action.flags || '';
+    return new RegExp(action.value1, flags);
+  } catch (error) {
+    console.warn('Skipping title action with invalid pattern:', error);
+    return null;
+  }
+}
+
+/**
+ * Changes the case of a title.
+ * @param {string} title - The title.
+ * @param {string} textCase - 'lower', 'upper', 'title' (every word
+ *   capitalized) or 'sentence' (only the first letter capitalized).
+ * @returns {string} The title in the new case.
+ */
+function changeCase(title, textCase) {
+  switch (textCase) {
+    case 'lower':
+      return title.toLowerCase();
+    case 'upper':
+      return title.toUpperCase();
+    case 'title':
+      return title.replace(
+        /(^|\s)(\S)/g,
+        (match, space, letter) => space + letter.toUpperCase(),
+      );
+    case 'sentence':
+      return title.charAt(0).toUpperCase() + title.slice(1).toLowerCase();
+    default:
+      return title;
+  }
+}
+
+/**
+ * Applies a single title preprocessing action.
+ * @param {string} title - The title so far.
+ * @param {TitleAction} action - The action to apply.
+ * @returns {string} The processed title.
+ */
+function applyTitleAction(title, action) {
+  switch (action.type) {
+    case 'add_prefix':
+      return action.value1 + title;
+    case 'add_suffix':
+      return title + action.value1;
+    case 'remove':
+      return title.replaceAll(action.value1, '');
+    case 'replace':
+      return title.replaceAll(action.value1, action.value2);
+    case 'regex_remove':
+    case 'regex_replace': {
+      const pattern = createTitleActionRegExp(action);
+      const replacement =
+        action.type === 'regex_replace' ? action.value2 || '' : '';
+      return pattern ? title.replace(pattern, replacement) : title;
+    }
+    case 'extract': {
+      const match = createTitleActionRegExp(action)?.exec(title);
+      if (!match) {
+        return title;
+      }
+      // Without a capture group, keep the whole match
+      return match.length > 1 ? match[1] ?? '' : match[0];
+    }
+    case 'trim':
+      return title.trim();
+    case 'collapse_whitespace':
+      return title.replace(/\s+/g, ' ').trim();
+    case 'change_case':
+      return changeCase(title, action.value1);
+    default:
+      return title;
+  }
+}
+
+/**
+ * How a title preprocessing rule's `url` is matched against page URLs. Rules
+ * saved before match types existed have none and match as 'prefix'.
+ * @type {Object<string, {name: string, placeholder: string}>}
+ * @constant
+ */
+const TITLE_RULE_MATCH_TYPES = {
+  prefix: { name: 'URL starts with', placeholder: 'https://example.com/page' },
+  match_pattern: {
+    name: 'Chrome match pattern',
+    placeholder: '*://*.atlassian.net/browse/*',
+  },
+  glob: { name: 'Glob', placeholder: 'https://github.com/*/issues/*' },
+  regex: {
+    name: 'Regular expression',
+    placeholder: '^https?://(www\\.)?example\\.',
+  },
+  host: { name: 'Exact host', placeholder: 'docs.example.com' },
+};
+
+/**
+ * Converts a Chrome match pattern (e.g. `*://*.example.com/*`) into the
+ * source of an equivalent regular expression.
+ * @param {string} pattern - The match pattern.
+ * @returns {string|null} The regular expression source, or null if the
+ *   pattern is not a valid match pattern.
+ * @see https://developer.chrome.com/docs/extensions/develop/concepts/match-patterns
+ */
+function matchPatternToRegExpSource(pattern) {
+  if (pattern === '<all_urls>') {
+    return '^(?:https?|wss?|ftp|file)://';
+  }
+  const match = pattern.match(
+    /^(\*|[a-z][a-z0-9+.-]*):\/\/(\*|(?:\*\.)?[^/*:]+)?(:(?:\*|\d+))?(\/.*)$/i,
+  );
+  if (!match) {
+    return null;
+  }
+  const [, scheme, host = '', port, path] = match;
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let hostSource = '[^/:]*';
+  if (host.startsWith('*.')) {
+    // '*.example.com' also matches example.com itself
+    hostSource = `(?:[^/:]+\\.)?${escape(host.slice(2))}`;
+  } else if (host && host !== '*') {
+    hostSource = escape(host);
+  }
+  // Without a port in the pattern, any port matches
+  const portSource = !port || port === ':*' ? '(?::\\d+)?' : escape(port);
+  return (
+    `^${scheme === '*' ? 'https?' : escape(scheme)}://${hostSource}` +
+    portSource +
+    `${wildcardToRegExpSource(path)}$`
+  );
+}
+
+/**
+ * Checks whether a title preprocessing rule applies to a URL.
+ * @param {{url: string, matchType?: string}} rule - The rule.
+ * @param {string} url - The page URL.
+ * @returns {boolean} True if the rule applies to the URL.
+ */
+function matchesTitleRule(rule, url) {
+  const pattern = rule.url || '';
+  if (!pattern) {
+    return false;
+  }
+  switch (rule.matchType || 'prefix') {
+    case 'prefix':
+      return url.startsWith(pattern);
+    case 'match_pattern': {
+      const source = matchPatternToRegExpSource(pattern.trim());
+      return source !== null && !!compilePattern(source)?.test(url);
+    }
+    case 'glob':
+      return !!compilePattern(
+        `^${wildcardToRegExpSource(pattern.trim())}$`,
+      )?.test(url);
+    case 'regex':
+      return !!compilePattern(pattern)?.test(url);
+    case 'host':
+      return parseUrl(url)?.host.toLowerCase() === pattern.trim().toLowerCase();
+    default:
+      return false;
+  }
+}
+
+/**
+ * A title preprocessing rule, as stored in `titlePreprocessingRules`. Rules
+ * run in order; fields added after the first version may be missing.
+ * @typedef {Object} TitleRule
+ * @property {string} [name] - A name to tell rules apart.
+ * @property {boolean} [enabled] - False to switch the rule off (default on).
+ * @property {string} url - The pattern of the URLs the rule applies to.
+ * @property {string} [matchType] - A key of `TITLE_RULE_MATCH_TYPES`.
+ * @property {string} [titleSource] - A key of `TITLE_SOURCES`: where the
+ *   title the actions work on comes from (default 'document').
+ * @property {string} [titleSelector] - The CSS selector read by the
+ *   'selector' title source.
+ * @property {TitleAction[]} actions - The actions, applied in order.
+ * @property {boolean} [stop] - True to skip the rules after this one when it
+ *   applies.
+ * @property {string[]} [slots] - The click types the rule is limited to
+ *   (e.g. 'single'); empty or missing for all.
+ * @property {string[]} [outputLanguages] - The output languages of the
+ *   formats the rule is limited to; empty or missing for all.
+ */
+
+/**
+ * Where a title preprocessing rule reads the title from, before its actions
+ * run. Falls back to the title so far when the page has no such element.
+ * @type {Object<string, string>}
+ * @constant
+ */
+const TITLE_SOURCES = {
+  document: 'Page title',
+  og_title: 'og:title',
+  h1: 'First heading (h1)',
+  selector: 'CSS selector',
+};
+
+/**
+ * Text read from the page for the rules' title sources.
+ * @typedef {Object} TitleSources
+ * @property {string} og_title - The page's og:title.
+ * @property {string} h1 - The text of the first `h1`.
+ * @property {Object<string, string>} selectors - The text of the first
+ *   element matching each requested CSS selector.
+ */
+
+/**
+ * Lists the CSS selectors the rules read their title from, so the page can be
+ * asked for them. Whether a rule applies is only decided later, against the
+ * cleaned URL.
+ * @param {TitleRule[]} rules - The title preprocessing rules.
+ * @returns {string[]} The selectors, without duplicates.
+ */
+function getTitleSelectors(rules) {
+  const selectors = (rules || [])
+    .filter(
+      (rule) =>
+        rule.titleSource === 'selector' &&
+        rule.titleSelector &&
+        rule.enabled !== false,
+    )
+    .map((rule) => rule.titleSelector);
+  return [...new Set(selectors)];
+}
+
+/**
+ * Reads the title a rule's title source points to.
+ * @param {TitleRule} rule - The rule.
+ * @param {TitleSources} [sources] - The text read from the page.
+ * @returns {string} The title, or '' if the rule uses the title so far or the
+ *   page has no such element.
+ */
+function readTitleSource(rule, sources) {
+  if (!sources) {
+    return '';
+  }
+  switch (rule.titleSource) {
+    case 'og_title':
+      return sources.og_title;
+    case 'h1':
+      return sources.h1;
+    case 'selector':
+      return sources.selectors[rule.titleSelector] || '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * The format a title is preprocessed for, used to honour the rules' slot and
+ * output language limits.
+ * @typedef {Object} TitleRuleScope
+ * @property {string} [clickType] - The click type being copied.
+ * @property {string} [outputLanguage] - The output language of its format.
+ */
+
+/**
+ * Checks whether a rule is enabled and applies to a URL and format.
+ * @param {TitleRule} rule - The rule.
+ * @param {string} url - The page URL.
+ * @param {TitleRuleScope} [scope] - The format being copied. Without one,
+ *   the slot and output language limits are ignored.
+ * @returns {boolean} True if the rule applies.
+ */
+function isTitleRuleApplicable(rule, url, scope) {
+  if (rule.enabled === false || !matchesTitleRule(rule, url)) {
+    return false;
+  }
+  if (!scope) {
+    return true;
+  }
+  const inList = (list, value) =>
+    !list || list.length === 0 || !value || list.includes(value);
+  return (
+    inList(rule.slots, scope.clickType) &&
+    inList(rule.outputLanguages, scope.outputLanguage)
+  );
+}
+
+/**
+ * Runs title preprocessing rules and records the title before and after each
+ * rule that applied, to show which rule changed a title.
+ * @param {string} title - The original page title.
+ * @param {string} url - The page URL.
+ * @param {TitleRule[]} rules - The rules, in order.
+ * @param {TitleRuleScope} [scope] - The format being copied.
+ * @param {TitleSources} [sources] - Text read from the page for the rules'
+ *   title sources. Without it, rules work on the tab title.
+ * @returns {{index: number, before: string, after: string}[]} One step per
+ *   applied rule, with the rule's index in `rules`.
+ */
+function traceTitlePreprocessing(title, url, rules, scope, sources) {
+  const steps = [];
+  let processedTitle = title;
+
+  for (const [index, rule] of (rules || []).entries()) {
+    if (!isTitleRuleApplicable(rule, url, scope)) {
+      continue;
+    }
+    const before = processedTitle;
+    processedTitle = readTitleSource(rule, sources) || processedTitle;
+    for (const action of rule.actions) {
+      processedTitle = applyTitleAction(processedTitle, action);
+    }
+    steps.push({ index, before, after: processedTitle });
+    if (rule.stop) {
+      break;
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Applies title preprocessing rules to the given title based on the URL.
+ * @param {string} title - The original page title.
+ * @param {string} url - The page URL.
+ * @param {TitleRule[]} rules - The array of preprocessing rules.
+ * @param {TitleRuleScope} [scope] - The format being copied.
+ * @param {TitleSources} [sources] - Text read from the page for the rules'
+ *   title sources.
+ * @returns {string} The processed title.
+ */
+function applyTitlePreprocessing(title, url, rules, scope, sources) {
+  const steps = traceTitlePreprocessing(title, url, rules, scope, sources);
+  return steps.length > 0 ? steps[steps.length - 1].after : title;
+}
+
+/**
+ * Separators sites put between the page title and the site name, as in
+ * 'Page - Site' or 'Site | Page'.
+ * @type {string[]}
+ * @constant
+ */
+const SITE_NAME_SEPARATORS = [' - ', ' | ', ' · ', ' — '];
+
+/**
+ * Removes the site name from the end or the start of a title, using the
+ * page's `og:site_name` or `application-name`. Titles that are only the site
+ * name are kept.
+ * @param {string} title - The title to clean.
+ * @param {PageMetadata} metadata - Metadata read from the page.
+ * @returns {string} The title without the site name.
+ */
+function stripSiteName(title, metadata) {
+  const siteNames = [
+    metadata.meta['og:site_name'],
+    metadata.meta['application-name'],
+  ]
+    .map((name) => (name || '').trim().toLowerCase())
+    .filter(Boolean);
+  const trimmedTitle = title.trim();
+  for (const siteName of siteNames) {
+    for (const separator of SITE_NAME_SEPARATORS) {
+      const affix = siteName.length + separator.length;
+      if (trimmedTitle.length <= affix) {
+        continue;
+      }
+      if (trimmedTitle.slice(-affix).toLowerCase() === separator + siteName) {
+        return trimmedTitle.slice(0, -affix).trim();
+      }
+      if (trimmedTitle.slice(0, affix).toLowerCase() === siteName + separator) {
+        return trimmedTitle.slice(affix).trim();
+      }
+    }
+  }
+  return title;
+}
+
+/**
+ * The rules applied to every tab before its template is rendered.
+ * @typedef {Object} ProcessingRules
+ * @property {TitleRule[]} titleRules - The title preprocessing rules.
+ * @property {boolean} smartTitle - Whether to strip the site name from titles
+ *   before the title rules run.
+ * @property {UrlCleaningConfig} urlCleaning - The URL cleaning configuration.
+ */
+
+/**
+ * Reads the title preprocessing rules and the URL cleaning configuration from
+ * storage, together with the rules of the enabled rule packs. Pack title rules
+ * run before the user's own rules, so those see the cleaned up title.
+ * @returns {Promise<ProcessingRules>} The processing rules.
+ */
+async function loadProcessingRules() {
+  const [syncResult, urlCleaning] = await Promise.all([
+    chrome.storage.sync.get({
+      titlePreprocessingRules: [],
+      enabledRulePacks: [],
+      smartTitle: false,
+    }),
+    loadUrlCleaningConfig(),
+  ]);
+  const packRules = getRulePackRules(syncResult.enabledRulePacks);
+  return {
+    titleRules: [
+      ...packRules.titleRules,
+      ...syncResult.titlePreprocessingRules,
+    ],
+    smartTitle: syncResult.smartTitle,
+    urlCleaning: {
+      ...urlCleaning,
+      settings: {
+        ...urlCleaning.settings,
+        domainRules: [
+          ...urlCleaning.settings.domainRules,
+          ...packRules.urlRules,
+        ],
+      },
+    },
+  };
+}
+
+/**
+ * Per-tab values available to placeholders when rendering a format template.
+ * @typedef {Object} TemplateContext
+ * @property {chrome.tabs.Tab} tab - The tab being formatted.
+ * @property {string} title - The preprocessed page title.
+ * @property {string} cleanTitle - The preprocessed page title, with the site
+ *   name stripped first even when smart titles are off.
+ * @property {string} url - The cleaned page URL.
+ * @property {string} quote - The selected text on the page, if any.
+ * @property {string} quoteHtml - The selection's HTML, with absolute links.
+ * @property {string} quoteMarkdown - The selection converted to Markdown.
+ * @property {string} textFragment - A text fragment directive matching the
+ *   selection (e.g. 'text=start,end'), without the leading `:~:`.
+ * @property {string} anchor - The id of the nearest element at or above the
+ *   start of the selection.
+ * @property {PageMetadata} metadata - Metadata read from the page's `<head>`.
+ * @property {MenuTarget} target - What the context menu entry acted on, with
+ *   cleaned URLs; empty outside the context menu's link, image, selection and
+ *   frame entries.
+ * @property {number} index - 1-based position of the tab in a multi-tab copy.
+ * @property {number} count - Total number of tabs being copied.
+ * @property {Date} now - The time of the click, shared by all tabs.
+ */
+
+/**
+ * Safely parses a URL string.
+ * @param {string} urlString - The URL to parse.
+ * @returns {URL|null} The parsed URL, or null if it is not a valid URL.
+ */
+function parseUrl(urlString) {
+  try {
+    return new URL(urlString);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Tokens understood by `formatDate`. Text wrapped in square brackets is
+ * emitted literally, e.g. `[Week of] MMM D`.
+ * @type {RegExp}
+ * @constant
+ */
+const DATE_TOKEN_PATTERN =
+  /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|A|a/g;
+
+/**
+ * Formats a date with a moment.js-style format string.
+ * @param {Date} date - The date to format.
+ * @param {string} format - The format string (e.g. 'YYYY-MM-DD HH:mm').
+ * @returns {string} The formatted date.
+ */
+function formatDate(date, format) {
+  const pad = (number) => number.toString().padStart(2, '0');
+  const hours12 = date.getHours() % 12 || 12;
+
+  return format.replace(DATE_TOKEN_PATTERN, (token, literal) => {
+    if (literal !== undefined) {
+      return literal;
+    }
+    switch (token) {
+      case 'YYYY':
+        return date.getFullYear().toString();
+      case 'YY':
+        return date.getFullYear().toString().slice(-2);
+      case 'MMMM':
+        return date.toLocaleString(undefined, { month: 'long' });
+      case 'MMM':
+        return date.toLocaleString(undefined, { month: 'short' });
+      case 'MM':
+        return pad(date.getMonth() + 1);
+      case 'M':
+        return (date.getMonth() + 1).toString();
+      case 'DD':
+        return pad(date.getDate());
+      case 'D':
+        return date.getDate().toString();
+      case 'dddd':
+        return date.toLocaleString(undefined, { weekday: 'long' });
+      case 'ddd':
+        return date.toLocaleString(undefined, { weekday: 'short' });
+      case 'HH':
+        return pad(date.getHours());
+      case 'H':
+        return date.getHours().toString();
+      case 'hh':
+        return pad(hours12);
+      case 'h':
+        return hours12.toString();
+      case 'mm':
+        return pad(date.getMinutes());
+      case 'm':
+        return date.getMinutes().toString();
+      case 'ss':
+        return pad(date.getSeconds());
+      case 's':
+        return date.getSeconds().toString();
+      case 'A':
+        return date.getHours() < 12 ? 'AM' : 'PM';
+      case 'a':
+        return date.getHours() < 12 ? 'am' : 'pm';
+      default:
+        return token;
+    }
+  });
+}
+
+/**
+ * Placeholder resolvers, keyed by placeholder name. A resolver receives the
+ * per-tab context and the optional argument written after the first colon,
+ * e.g. `ref` in `<query:ref>` or `YYYY-MM-DD` in `<date:YYYY-MM-DD>`.
+ * @type {Object<string, (context: TemplateContext, arg?: string) => string>}
+ * @constant
+ */
+const PLACEHOLDERS = {
+  title: (context) => context.title,
+  clean_title: (context) => context.cleanTitle,
+  url: (context) => context.url,
+  quote: (context, format) => {
+    switch (format) {
+      case 'md':
+      case 'markdown':
+        return context.quoteMarkdown || context.quote;
+      case 'html':
+        return context.quoteHtml || escapeHtml(context.quote);
+      default:
+        return context.quote;
+    }
+  },
+  deeplink: (context) =>
+    context.textFragment
+      ? `${context.url.replace(/#.*$/, '')}#:~:${context.textFragment}`
+      : context.url,
+  anchor_url: (context) =>
+    context.anchor
+      ? `${context.url.replace(/#.*$/, '')}#${encodeURIComponent(
+          context.anchor,
+        )}`
+      : context.url,
+  domain: (context) =>
+    parseUrl(context.url)?.hostname.replace(/^www\./, '') || '',
+  host: (context) => parseUrl(context.url)?.host || '',
+  path: (context) => parseUrl(context.url)?.pathname || '',
+  origin: (context) => {
+    const origin = parseUrl(context.url)?.origin;
+    // Non-hierarchical URLs (e.g. data:, about:) report the string 'null'
+    return origin && origin !== 'null' ? origin : '';
+  },
+  query: (context, name) => {
+    const url = parseUrl(context.url);
+    if (!url) {
+      return '';
+    }
+    // Without a name, return the whole query string (without the '?')
+    return name ? url.searchParams.get(name) ?? '' : url.search.slice(1);
+  },
+  hash: (context) => parseUrl(context.url)?.hash.slice(1) || '',
+  description: (context) =>
+    context.metadata.meta.description ||
+    context.metadata.meta['og:description'] ||
+    '',
+  canonical: (context) => context.metadata.canonical,
+  og: (context, name) =>
+    name ? context.metadata.meta[`og:${name.toLowerCase()}`] || '' : '',
+  site_name: (context) =>
+    context.metadata.meta['og:site_name'] ||
+    context.metadata.meta['application-name'] ||
+    '',
+  author: (context) => context.metadata.author,
+  published: (context, format) => {
+    const published = context.metadata.published;
+    const date = new Date(published);
+    // Without a format (or with an unparseable date), keep the page's value
+    return format && published && !isNaN(date.getTime())
+      ? formatDate(date, format)
+      : published;
+  },
+  lang: (context) => context.metadata.lang,
+  meta: (context, name) =>
+    name ? context.metadata.meta[name.toLowerCase()] || '' : '',
+  date: (context, format) => formatDate(context.now, format || 'YYYY-MM-DD'),
+  time: (context, format) => formatDate(context.now, format || 'HH:mm'),
+  index: (context) => context.index.toString(),
+  count: (context) => context.count.toString(),
+  tabId: (context) => context.tab.id?.toString() ?? '',
+  windowId: (context) => context.tab.windowId?.toString() ?? '',
+  link_text: (context) => context.target.linkText,
+  link_url: (context) => context.target.linkUrl,
+  src_url: (context) => context.target.srcUrl,
+  image_alt: (context) => context.target.imageAlt,
+  frame_url: (context) => context.target.frameUrl,
+};
+
+/**
+ * Filters that can be chained onto a placeholder with `|`, e.g.
+ * `<title|truncate:60|trim>`. A filter receives the current value followed by
+ * the colon-separated arguments written after its name.
+ * @type {Object<string, (value: string, ...args: string[]) => string>}
+ * @constant
+ */
+const FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+  oneline: (value) => value.replace(/\s*[\r\n]+\s*/g, ' ').trim(),
+  truncate: (value, length = '80', ellipsis = '…') => {
+    const maxLength = parseInt(length, 10);
+    // Spread into code points so emoji and other surrogate pairs are never split
+    const characters = [...value];
+    if (isNaN(maxLength) || characters.length <= maxLength) {
+      return value;
+    }
+    const keep = Math.max(0, maxLength - [...ellipsis].length);
+    return characters.slice(0, keep).join('').trimEnd() + ellipsis;
+  },
+  slug: (value) =>
+    value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '') // Strip accents
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, ''),
+  encode: (value) => encodeURIComponent(value),
+  replace: (value, search = '', replacement = '') =>
+    search ? value.replaceAll(search, replacement) : value,
+  default: (value, fallback = '') => value || fallback,
+  // Marker only: skips the automatic escaping of substituted values (see renderTemplate)
+  raw: (value) => value,
+};
+
+/**
+ * Matches values that look like an absolute URL. Output languages escape these
+ * with percent-encoding rather than backslashes, so links keep working.
+ * @type {RegExp}
+ * @constant
+ */
+const URL_VALUE_PATTERN = /^[a-z][a-z\d+.-]*:\/\/\S*$/i;
+
+/**
+ * Percent-encodes the given characters in a URL.
+ * @param {string} url - The URL to encode.
+ * @param {RegExp} characters - A global pattern matching the characters to encode.
+ * @returns {string} The encoded URL.
+ */
+function percentEncodeCharacters(url, characters) {
+  return url.replace(
+    characters,
+    (character) =>
+      '%' + character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'),
+  );
+}
+
+/**
+ * Jira text effects that can be paired around words (`*bold*`, `_italic_`,
+ * `-deleted-`, `+inserted+`), each matched with its opening and closing
+ * character captured.
+ * @type {RegExp[]}
+ * @constant
+ */
+const JIRA_EFFECT_PATTERNS = ['*', '_', '-', '+'].map((character) => {
+  const literal = `[${character}]`;
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}])${literal}(?=\\S)(.*?\\S)${literal}(?![\\p{L}\\p{N}])`,
+    'gmu',
+  );
+});
+
+/**
+ * Escapes text for Jira wiki markup. Brackets, braces and pipes always start
+ * markup; the text effect characters only do at the start of a line (lists,
+ * rules) or when paired around words, so `PROJ-123` or `snake_case` are left
+ * as they are.
+ * @param {string} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeJiraText(value) {
+  let escaped = value.replace(/[\\[\]{}|]/g, '\\$&');
+  for (const pattern of JIRA_EFFECT_PATTERNS) {
+    escaped = escaped.replace(pattern, (match, before, text) => {
+      const character = match[before.length];
+      return `${before}\\${character}${text}\\${character}`;
+    });
+  }
+  return escaped.replace(/^[*_+-]/gm, '\\$&');
+}
+
+/**
+ * Output languages a format can be written in. The escaper of the selected
+ * language is applied to every substituted value, so titles containing
+ * characters like `]`, `|` or `<` can't break the surrounding markup.
+ * @type {Object<string, {name: string, escape: (value: string) => string}>}
+ * @constant
+ */
+const OUTPUT_LANGUAGES = {
+  plain: { name: 'Plain text', escape: (value) => value },
+  markdown: {
+    name: 'Markdown',
+    escape: (value) =>
+      URL_VALUE_PATTERN.test(value)
+        ? percentEncodeCharacters(value, /[()<>[\] |]/g)
+        : value.replace(/[\\`*_[\]<>|]/g, '\\$&'),
+  },
+  html: {
+    name: 'HTML',
+    escape: (value) =>
+      value
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;'),
+  },
+  csv: {
+    name: 'CSV',
+    // Quote the field only when needed, doubling any quotes inside it
+    escape: (value) =>
+      /[",\r\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value,
+  },
+  json: {
+    name: 'JSON',
+    // Escaped for use inside a JSON string literal, e.g. "title": "<title>"
+    escape: (value) => JSON.stringify(value).slice(1, -1),
+  },
+  jira: {
+    name: 'Jira wiki',
+    escape: (value) =>
+      URL_VALUE_PATTERN.test(value)
+        ? percentEncodeCharacters(value, /[|[\] ]/g)
+        : escapeJiraText(value),
+  },
+  latex: {
+    name: 'LaTeX',
+    escape: (value) => {
+      if (URL_VALUE_PATTERN.test(value)) {
+        // \href and \url accept these escaped forms
+        return value.replace(/[%#]/g, '\\$&');
+      }
+      return value.replace(/[\\{}$&#^_%~]/g, (character) => {
+        switch (character) {
+          case '\\':
+            return '\\textbackslash{}';
+          case '^':
+            return '\\textasciicircum{}';
+          case '~':
+            return '\\textasciitilde{}';
+          default:
+            return '\\' + character;
+        }
+      });
+    },
+  },
+};
+
+/**
+ * Placeholders (with their argument) whose value is already written in an
+ * output language, mapped to that language. They are not escaped again when
+ * the format uses the same language.
+ * @type {Object<string, string>}
+ * @constant
+ */
+const MARKUP_PLACEHOLDERS = {
+  'quote:md': 'markdown',
+  'quote:markdown': 'markdown',
+  'quote:html': 'html',
+};
+
+/**
+ * Matches either an escaped character (`\<`, `\>`, `\{`, `\}`, `\\`) or a
+ * placeholder such as `<title>`, `<date:YYYY-MM-DD>` or
+ * `<title|truncate:60|trim>`. The third group captures everything after the
+ * name: the optional `:arg` and the `|filter` chain.
+ * @type {RegExp}
+ * @constant
+ */
+const PLACEHOLDER_PATTERN =
+  /\\([\\<>{}])|<([A-Za-z]\w*)((?:[:|](?:\\.|[^<>\\])*)?)>/g;
+
+/**
+ * Matches an escaped character or a section tag: `{{#name}}` (shown when the
+ * placeholder has a value), `{{^name}}` (shown when it is empty) and
+ * `{{/name}}` (closes the section). The name may carry an argument, as in
+ * `{{#query:ref}}`.
+ * @type {RegExp}
+ * @constant
+ */
+const SECTION_TAG_PATTERN =
+  /\\.|\{\{\s*([#^/])\s*([A-Za-z]\w*(?::[^{}]*?)?)\s*\}\}/g;
+
+/**
+ * A conditional section of a template.
+ * @typedef {Object} TemplateSection
+ * @property {'#'|'^'} type - '#' renders when the value is non-empty, '^' when it is empty.
+ * @property {string} key - The placeholder name with its optional argument, e.g. `query:ref`.
+ * @property {Array<string|TemplateSection>} children - Text and nested sections.
+ */
+
+/**
+ * Parses the conditional sections of a template into a tree.
+ * Parsing is lenient: a section that is never closed runs to the end of the
+ * template, and a closing tag without a matching opening tag is kept as text.
+ * @param {string} template - The format template.
+ * @param {string[]} [errors] - Receives a message for every unbalanced tag.
+ * @returns {Array<string|TemplateSection>} The top-level text and sections.
+ */
+function parseSections(template, errors) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(SECTION_TAG_PATTERN)) {
+    const [tag, type, key] = match;
+    if (!type) {
+      continue; // Escaped character, handled by renderTemplate
+    }
+    const current = stack[stack.length - 1];
+    const name = key.split(':')[0];
+
+    if (type === '/') {
+      const isMatchingClose =
+        current !== root &&
+        (current.key === key || current.key.split(':')[0] === name);
+      if (!isMatchingClose) {
+        errors?.push(`{{/${key}}} has no matching {{#${key}}} or {{^${key}}}`);
+        continue; // Unmatched closing tag, leave it in the text
+      }
+      current.children.push(template.slice(lastIndex, match.index));
+      stack.pop();
+    } else {
+      const section = { type, key, children: [] };
+      current.children.push(template.slice(lastIndex, match.index), section);
+      stack.push(section);
+    }
+    lastIndex = match.index + tag.length;
+  }
+
+  stack[stack.length - 1].children.push(template.slice(lastIndex));
+  for (const section of stack.slice(1)) {
+    errors?.push(`{{${section.type}${section.key}}} is never closed`);
+  }
+  return root.children;
+}
+
+/**
+ * Resolves conditional sections against a tab, keeping only the text of the
+ * branches that apply. A placeholder counts as empty when it is unknown or
+ * resolves to whitespace only.
+ * @param {Array<string|TemplateSection>} nodes - Parsed template nodes.
+ * @param {TemplateContext} context - The values for the tab being formatted.
+ * @returns {string} The template text with sections resolved.
+ */
+function renderSections(nodes, context) {
+  return nodes
+    .map((node) => {
+      if (typeof node === 'string') {
+        return node;
+      }
+      const separatorIndex = node.key.indexOf(':');
+      const name =
+        separatorIndex === -1 ? node.key : node.key.slice(0, separatorIndex);
+      const arg =
+        separatorIndex === -1 ? undefined : node.key.slice(separatorIndex + 1);
+      const value = Object.hasOwn(PLACEHOLDERS, name)
+        ? PLACEHOLDERS[name](context, arg) ?? ''
+        : '';
+      const hasValue = value.trim() !== '';
+      const isShown = node.type === '#' ? hasValue : !hasValue;
+      return isShown ? renderSections(node.children, context) : '';
+    })
+    .join('');
+}
+
+/**
+ * Splits a string on a delimiter, ignoring delimiters escaped with a backslash.
+ * The backslashes themselves are kept so later splits still see them.
+ * @param {string} text - The text to split.
+ * @param {string} delimiter - A single delimiter character.
+ * @returns {string[]} The parts.
+ */
+function splitUnescaped(text, delimiter) {
+  const parts = [''];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      parts[parts.length - 1] += text[i] + text[i + 1];
+      i++;
+    } else if (text[i] === delimiter) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += text[i];
+    }
+  }
+  return parts;
+}
+
+/**
+ * Removes the backslash from escaped characters, e.g. `a\:b` becomes `a:b`.
+ * @param {string} text - The text to unescape.
+ * @returns {string} The unescaped text.
+ */
+function unescapeTemplateText(text) {
+  return text.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parses the part of a placeholder after its name into its argument and
+ * filter chain, e.g. `:HH:mm|upper` or `|replace:foo:bar|trim`.
+ * @param {string} rest - The text between the placeholder name and the closing `>`.
+ * @returns {{arg: string|undefined, filters: Array<{name: string, args: string[]}>}}
+ */
+function parsePlaceholderRest(rest) {
+  const [head, ...filterSpecs] = splitUnescaped(rest, '|');
+  // The argument runs to the end of the head, so it may itself contain colons
+  const arg = head.startsWith(':')
+    ? unescapeTemplateText(head.slice(1))
+    : undefined;
+  const filters = filterSpecs.map((spec) => {
+    const [name, ...args] = splitUnescaped(spec, ':').map(unescapeTemplateText);
+    return { name: name.trim(), args };
+  });
+  return { arg, filters };
+}
+
+/**
+ * Renders a format template for a single tab.
+ * Conditional sections (`{{#quote}}…{{/quote}}`, `{{^quote}}…{{/quote}}`) are
+ * resolved first, then placeholders are substituted. Unknown placeholders
+ * (e.g. HTML tags like `<b>`) are left untouched, and a backslash makes the
+ * next `<`, `>`, `{`, `}` or `\` literal, so `\<title>` renders as the text
+ * `<title>`.
+ * @param {string} template - The format template.
+ * @param {TemplateContext} context - The values for the tab being formatted.
+ * @param {(value: string) => string} [escape] - Optional escaper (e.g. URL encoding or an output language's) applied to every substituted value, unless it uses the `raw` or `encode` filter.
+ * @returns {string} The rendered text.
+ */
+function renderTemplate(template, context, escape) {
+  const expanded = renderSections(parseSections(template), context);
+  return expanded.replace(PLACEHOLDER_PATTERN, (match, escaped, name, rest) => {
+    if (escaped) {
+      return escaped;
+    }
+    if (!Object.hasOwn(PLACEHOLDERS, name)) {
+      return match;
+    }
+    const { arg, filters } = parsePlaceholderRest(rest);
+    let value = PLACEHOLDERS[name](context, arg) ?? '';
+    for (const filter of filters) {
+      if (!Object.hasOwn(FILTERS, filter.name)) {
+        console.warn(`Unknown filter "${filter.name}" in <${name}>`);
+        continue;
+      }
+      value = FILTERS[filter.name](value, ...filter.args);
+    }
+    const markupLanguage = MARKUP_PLACEHOLDERS[`${name}:${arg}`];
+    const isEscaped =
+      filters.some(
+        (filter) => filter.name === 'raw' || filter.name === 'encode',
+      ) ||
+      (markupLanguage && escape === OUTPUT_LANGUAGES[markupLanguage].escape);
+    return escape && !isEscaped ? escape(value) : value;
+  });
+}
+
+/**
+ * Escapes the characters that have a special meaning in HTML.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return OUTPUT_LANGUAGES.html.escape(text);
+}
+
+/**
+ * The destination of a Markdown link or image in HTML-escaped text, with the
+ * URL captured: either `<url>` or a URL whose parentheses are balanced (one
+ * level deep, like Wikipedia links).
+ * @type {string}
+ * @constant
+ */
+const MARKDOWN_LINK_DESTINATION = String.raw`\(\s*(?:&lt;([^\n]*?)&gt;|((?:[^()\s]|\([^()\s]*\))+))\s*\)`;
+
+/**
+ * Checks whether a link or image URL is safe to put on the clipboard as HTML:
+ * only http, https and mailto URLs are, not `javascript:` or `data:` ones.
+ * @param {string} url - The URL.
+ * @returns {boolean} True if the URL can be linked.
+ */
+function isSafeMarkdownUrl(url) {
+  return /^(?:https?|mailto):/i.test(url);
+}
+
+/**
+ * Renders inline Markdown (code spans, links, images, emphasis, strikethrough
+ * and bare URLs) to HTML. Links and images with an unsafe URL are left as
+ * text.
+ * @param {string} text - A single block of Markdown text.
+ * @returns {string} The HTML.
+ */
+function renderMarkdownInline(text) {
+  // Finished HTML fragments are parked here, so later patterns can't touch them
+  const stash = [];
+  const park = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let html = text
+    .replace(/`([^`]+)`/g, (match, code) =>
+      park(`<code>${escapeHtml(code)}</code>`),
+    )
+    .replace(/\\([\\`*_{}[\]()#+\-.!|<>~])/g, (match, character) =>
+      park(escapeHtml(character)),
+    );
+
+  html = escapeHtml(html)
+    .replace(
+      new RegExp(String.raw`!\[([^\]]*)\]${MARKDOWN_LINK_DESTINATION}`, 'g'),
+      (match, alt, angledSrc, bareSrc) => {
+        const src = bareSrc ?? angledSrc.replaceAll(' ', '%20');
+        return isSafeMarkdownUrl(src)
+          ? park(`<img src="${src}" alt="${alt}">`)
+          : match;
+      },
+    )
+    .replace(
+      new RegExp(String.raw`\[([^\]]+)\]${MARKDOWN_LINK_DESTINATION}`, 'g'),
+      (match, label, angledHref, bareHref) => {
+        const href = bareHref ?? angledHref.replaceAll(' ', '%20');
+        return isSafeMarkdownUrl(href)
+          ? park(`<a href="${href}">${label}</a>`)
+          : match;
+      },
+    )
+    .replace(/&lt;(https?:\/\/\S+?)&gt;/g, (match, href) =>
+      park(`<a href="${href}">${href}</a>`),
+    )
+    .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,:;!?'")\]]/g, (href) =>
+      park(`<a href="${href}">${href}</a>`),
+    )
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(?<!\w)__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+    // Underscores inside words (snake_case) are not emphasis
+    .replace(/(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '<em>$1</em>')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+
+  // Restore parked fragments; they may themselves contain parked fragments
+  while (/\u0000\d+\u0000/.test(html)) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+  }
+  return html;
+}
+
+/**
+ * Splits a Markdown table row into its cells.
+ * @param {string} row - The table row, e.g. `| a | b |`.
+ * @returns {string[]} The cell contents.
+ */
+function splitMarkdownTableRow(row) {
+  return row
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim());
+}
+
+/**
+ * Renders Markdown to HTML, so a copy can also be pasted as rich text.
+ * Supports the subset that copy formats typically produce: paragraphs,
+ * headings, lists, blockquotes, fenced code blocks, tables, horizontal rules
+ * and inline markup.
+ * @param {string} markdown - The Markdown text.
+ * @returns {string} The HTML.
+ */
+function markdownToHtml(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip the closing fence
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i++;
+      }
+      blocks.push(
+        `<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`,
+      );
+      continue;
+    }
+
+    // Table: a header row followed by a |---|---| delimiter row
+    if (
+      line.includes('|') &&
+      /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1] || '')
+    ) {
+      const headerCells = splitMarkdownTableRow(line);
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].includes('|')) {
+        rows.push(splitMarkdownTableRow(lines[i]));
+        i++;
+      }
+      const head = headerCells
+        .map((cell) => `<th>${renderMarkdownInline(cell)}</th>`)
+        .join('');
+      const body = rows
+        .map(
+          (cells) =>
+            `<tr>${cells
+              .map((cell) => `<td>${renderMarkdownInline(cell)}</td>`)
+              .join('')}</tr>`,
+        )
+        .join('');
+      blocks.push(
+        `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`,
+      );
+      continue;
+    }
+
+    const listItemPattern = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+    const listItem = line.match(listItemPattern);
+    if (listItem) {
+      const isOrdered = /\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(listItemPattern);
+        if (!item || /\d/.test(item[1]) !== isOrdered) {
+          break;
+        }
+        items.push(`<li>${renderMarkdownInline(item[2])}</li>`);
+        i++;
+      }
+      const tag = isOrdered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    // Paragraph: consecutive lines up to the next blank line or block
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() !== '' &&
+      (paragraph.length === 0 ||
+        !/^\s*(```|~~~|#{1,6}\s|>|[-*+]\s|\d+[.)]\s)/.test(lines[i]))
+    ) {
+      paragraph.push(renderMarkdownInline(lines[i].trim()));
+      i++;
+    }
+    blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+  }
+
+  return blocks.join('\n');
+}
+
+/**
+ * URL prefixes of pages where Chrome never allows extensions to inject scripts.
+ * @type {string[]}
+ * @constant
+ */
+const RESTRICTED_URL_PREFIXES = [
+  'chrome://',
+  'chrome-extension://',
+  'chrome-untrusted://',
+  'chrome-search://',
+  'devtools://',
+  'edge://',
+  'about:',
+  'view-source:',
+  'https://chrome.google.com/webstore',
+  'https://chromewebstore.google.com',
+];
+
+/**
+ * Checks whether a script can be injected into a tab.
+ * This only rules out pages that are always restricted; injection may still
+ * fail elsewhere (e.g. the PDF viewer or policy-blocked sites).
+ * @param {chrome.tabs.Tab} tab - The tab to check.
+ * @returns {boolean} True if injection may succeed.
+ */
+function canInjectIntoTab(tab) {
+  if (!tab || !tab.id) {
+    return false;
+  }
+  const url = tab.url || '';
+  return !RESTRICTED_URL_PREFIXES.some((prefix) => url.startsWith(prefix));
+}
+
+/**
+ * Metadata read from a page's `<head>`.
+ * @typedef {Object} PageMetadata
+ * @property {Object<string, string>} meta - Content of the page's meta tags,
+ *   keyed by their lower-cased `name` or `property` (e.g. 'og:title').
+ * @property {string} canonical - The absolute URL of the canonical link.
+ * @property {string} author - The author, from meta tags or JSON-LD.
+ * @property {string} published - The publication date as written by the page.
+ * @property {string} lang - The language of the document.
+ */
+
+/**
+ * Title sources used for pages that can't be scripted.
+ * @type {TitleSources}
+ * @constant
+ */
+const EMPTY_TITLE_SOURCES = Object.freeze({
+  og_title: '',
+  h1: '',
+  selectors: Object.freeze({}),
+});
+
+/**
+ * Metadata used for pages that can't be scripted.
+ * @type {PageMetadata}
+ * @constant
+ */
+const EMPTY_PAGE_METADATA = Object.freeze({
+  meta: Object.freeze({}),
+  canonical: '',
+  author: '',
+  published: '',
+  lang: '',
+});
+
+/**
+ * What a context menu entry acts on, from the menu's click data. The link,
+ * image, selection and frame entries format this instead of the tab.
+ * @typedef {Object} MenuTarget
+ * @property {string} type - 'link', 'image', 'selection' or 'frame'; '' when
+ *   formatting tabs.
+ * @property {number} frameId - The frame the menu was opened in.
+ * @property {string} linkText - The text of the link.
+ * @property {string} linkUrl - The URL of the link.
+ * @property {string} srcUrl - The URL of the image.
+ * @property {string} imageAlt - The alternative text of the image.
+ * @property {string} frameUrl - The URL of the frame, when the menu was
+ *   opened in one.
+ * @property {string} selectionText - The selected text.
+ */
+
+/**
+ * Menu target of formats used outside the context menu's target entries.
+ * @type {MenuTarget}
+ * @constant
+ */
+const EMPTY_MENU_TARGET = Object.freeze({
+  type: '',
+  frameId: 0,
+  linkText: '',
+  linkUrl: '',
+  srcUrl: '',
+  imageAlt: '',
+  frameUrl: '',
+  selectionText: '',
+});
+
+/**
+ * Tab used for previews when no web page is open in the window of
+ * the options or format library page.
+ * @type {chrome.tabs.Tab}
+ * @constant
+ */
+const SAMPLE_PREVIEW_TAB = /** @type {chrome.tabs.Tab} */ ({
+  id: 0,
+  windowId: 0,
+  title: 'Example Domain',
+  url: 'https://www.example.com/path/page?ref=copy-bear#intro',
+});
+
+/**
+ * Data read from a tab's page, used alongside the tab's own title and URL.
+ * @typedef {Object} PageData
+ * @property {chrome.tabs.Tab} tab - The tab the data was read from.
+ * @property {string} quote - The selected text on the page, if any.
+ * @property {string} quoteHtml - The selection's HTML, with absolute links.
+ * @property {string} quoteMarkdown - The selection converted to Markdown.
+ * @property {string} textFragment - A text fragment directive matching the
+ *   selection (e.g. 'text=start,end'), without the leading `:~:`.
+ * @property {string} anchor - The id of the nearest element at or above the
+ *   start of the selection.
+ * @property {PageMetadata} metadata - Metadata read from the page's `<head>`.
+ * @property {TitleSources} titleSources - Text for the rules' title sources.
+ * @property {MenuTarget} [target] - What a context menu entry acts on, for
+ *   the data of a menu target rather than of the whole tab.
+ */
+
+/**
+ * Reads the selection (as text, HTML and Markdown), metadata and title sources
+ * of the current page. Injected into tabs with `chrome.scripting.executeScript`,
+ * so it must stay self-contained.
+ * @param {string[]} [titleSelectors=[]] - CSS selectors to read for the title
+ *   preprocessing rules.
+ * @returns {{quote: string, quoteHtml: string, quoteMarkdown: string,
+ *   textFragment: string, anchor: string, metadata: PageMetadata,
+ *   titleSources: TitleSources}} The page details.
+ */
+function readPageDetails(titleSelectors = []) {
+  /** @type {Object<string, string>} */
+  const meta = {};
+  document.querySelectorAll('meta[content]').forEach((element) => {
+    const key = (
+      element.getAttribute('name') ||
+      element.getAttribute('property') ||
+      element.getAttribute('itemprop') ||
+      ''
+    ).toLowerCase();
+    // The first tag wins, as it does for most consumers of these tags
+    if (key && !(key in meta)) {
+      meta[key] = (element.getAttribute('content') || '').trim();
+    }
+  });
+
+  // Articles often only describe their author and date in JSON-LD
+  const linkedData = { author: '', published: '' };
+  document
+    .querySelectorAll('script[type="application/ld+json"]')
+    .forEach((element) => {
+      try {
+        const items = [].concat(JSON.parse(element.textContent || ''));
+        items
+          .flatMap((item) => (item && item['@graph']) || [item])
+          .forEach((item) => {
+            if (!item || typeof item !== 'object') {
+              return;
+            }
+            const author = [].concat(item.author || [])[0];
+            const authorName =
+              typeof author === 'string' ? author : author?.name;
+            if (!linkedData.author && typeof authorName === 'string') {
+              linkedData.author = authorName.trim();
+            }
+            if (
+              !linkedData.published &&
+              typeof item.datePublished === 'string'
+            ) {
+              linkedData.published = item.datePublished.trim();
+            }
+          });
+      } catch (error) {
+        // Ignore malformed JSON-LD
+      }
+    });
+
+  /**
+   * Copies the selected DOM ranges into a detached container, keeping the
+   * lists, code blocks and links the selection sits inside of.
+   * @param {Selection} selection - The page's selection.
+   * @returns {HTMLElement} The container holding the selected nodes.
+   */
+  function cloneSelection(selection) {
+    const container = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      /** @type {Node} */
+      let content = range.cloneContents();
+      const ancestor = range.commonAncestorContainer;
+      let element =
+        ancestor.nodeType === Node.ELEMENT_NODE
+          ? /** @type {Element} */ (ancestor)
+          : ancestor.parentElement;
+      for (
+        ;
+        element && element !== document.body;
+        element = element.parentElement
+      ) {
+        if (
+          /^(A|B|STRONG|I|EM|DEL|S|CODE|PRE|UL|OL|H[1-6])$/.test(
+            element.tagName,
+          )
+        ) {
+          const wrapper = element.cloneNode(false);
+          wrapper.appendChild(content);
+          content = wrapper;
+        }
+      }
+      container.appendChild(content);
+    }
+
+    container
+      .querySelectorAll('script, style, noscript, template')
+      .forEach((element) => element.remove());
+    container.querySelectorAll('*').forEach((element) => {
+      for (const { name } of [...element.attributes]) {
+        if (name.startsWith('on')) {
+          element.removeAttribute(name);
+        }
+      }
+      // The properties resolve against the page, making relative links absolute
+      if (
+        element instanceof HTMLAnchorElement &&
+        element.hasAttribute('href')
+      ) {
+        element.setAttribute('href', element.href);
+      }
+      if (element instanceof HTMLImageElement && element.hasAttribute('src')) {
+        element.setAttribute('src', element.src);
+      }
+    });
+    return container;
+  }
+
+  /**
+   * Converts a DOM node to Markdown.
+   * @param {Node} node - The node to convert.
+   * @param {number} listDepth - How many lists the node is nested in.
+   * @returns {string} The Markdown.
+   */
+  function toMarkdown(node, listDepth) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return (node.textContent || '')
+        .replace(/\s+/g, ' ')
+        .replace(/[\\`*[\]]|(?<!\w)_|_(?!\w)/g, '\\$&');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const element = /** @type {HTMLElement} */ (node);
+    const children = () =>
+      [...element.childNodes]
+        .map((child) => toMarkdown(child, listDepth))
+        .join('');
+    // Fences and code spans must be longer than any backtick run they contain
+    const fenceFor = (text, minimum) =>
+      '`'.repeat(
+        Math.max(
+          minimum,
+          ...(text.match(/`+/g) || []).map((run) => run.length + 1),
+        ),
+      );
+    const wrapInline = (marker) => {
+      const inner = children();
+      return inner.trim() ? `${marker}${inner.trim()}${marker}` : inner;
+    };
+    // Parentheses and spaces would end a Markdown link destination early
+    const linkTarget = (url) =>
+      url.replace(
+        /[()\s]/g,
+        (character) =>
+          `%${character
+            .charCodeAt(0)
+            .toString(16)
+            .toUpperCase()
+            .padStart(2, '0')}`,
+      );
+
+    switch (element.tagName) {
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'B':
+      case 'STRONG':
+        return wrapInline('**');
+      case 'I':
+      case 'EM':
+        return wrapInline('_');
+      case 'DEL':
+      case 'S':
+      case 'STRIKE':
+        return wrapInline('~~');
+      case 'CODE': {
+        const code = element.textContent || '';
+        const fence = fenceFor(code, 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return code ? `${fence}${padding}${code}${padding}${fence}` : '';
+      }
+      case 'PRE': {
+        const code = (element.textContent || '').replace(/\n$/, '');
+        const languageSource = element.querySelector('code[class]') || element;
+        const language =
+          (languageSource.className.match(/(?:language|lang)-([\w+#-]+)/) ||
+            [])[1] || '';
+        const fence = fenceFor(code, 3);
+        return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+      }
+      case 'A': {
+        const label = children().trim();
+        const href = element.getAttribute('href') || '';
+        if (!href || /^javascript:/i.test(href)) {
+          return label;
+        }
+        if (!label) {
+          return '';
+        }
+        return label === href ? `<${href}>` : `[${label}](${linkTarget(href)})`;
+      }
+      case 'IMG': {
+        const src = element.getAttribute('src') || '';
+        const alt = (element.getAttribute('alt') || '').replace(/[[\]]/g, '');
+        return src ? `![${alt}](${linkTarget(src)})` : '';
+      }
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+        return `\n\n${'#'.repeat(
+          Number(element.tagName[1]),
+        )} ${children().trim()}\n\n`;
+      case 'BLOCKQUOTE': {
+        const inner = children()
+          .trim()
+          .replace(/\n{3,}/g, '\n\n');
+        return `\n\n${inner
+          .split('\n')
+          .map((line) => (line ? `> ${line}` : '>'))
+          .join('\n')}\n\n`;
+      }
+      case 'UL':
+      case 'OL': {
+        const start = Number(element.getAttribute('start')) || 1;
+        const items = [...element.children]
+          .filter((child) => child.tagName === 'LI')
+          .map((item, index) => {
+            const marker =
+              element.tagName === 'OL' ? `${start + index}. ` : '- ';
+            const content = [...item.childNodes]
+              .map((child) => toMarkdown(child, listDepth + 1))
+              .join('')
+              .trim()
+              .replace(/\n{3,}/g, '\n\n')
+              .replace(/\n/g, `\n${' '.repeat(marker.length)}`);
+            return marker + content;
+          });
+        // Nested lists stay tight against their parent item
+        return listDepth > 0
+          ? `\n${items.join('\n')}\n`
+          : `\n\n${items.join('\n')}\n\n`;
+      }
+      case 'TD':
+      case 'TH':
+        return `${children().trim()} `;
+      case 'P':
+      case 'DIV':
+      case 'SECTION':
+      case 'ARTICLE':
+      case 'HEADER':
+      case 'FOOTER':
+      case 'ASIDE':
+      case 'MAIN':
+      case 'NAV':
+      case 'FIGURE':
+      case 'FIGCAPTION':
+      case 'TABLE':
+      case 'TR':
+      case 'DL':
+      case 'DT':
+      case 'DD':
+        return `\n\n${children().trim()}\n\n`;
+      default:
+        return children();
+    }
+  }
+
+  /**
+   * Builds a text fragment directive (`text=start,end`) that scrolls to and
+   * highlights the given text. Long selections are matched by their first and
+   * last words.
+   * @param {string} text - The selected text.
+   * @returns {string} The directive, or '' if there is no text.
+   */
+  function buildTextFragment(text) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    // Text fragments reserve '-', ',' and '&' as syntax
+    const encode = (part) => encodeURIComponent(part).replace(/-/g, '%2D');
+    if (words.length === 0) {
+      return '';
+    }
+    if (words.length <= 10) {
+      return `text=${encode(words.join(' '))}`;
+    }
+    const start = words.slice(0, 5).join(' ');
+    const end = words.slice(-5).join(' ');
+    return `text=${encode(start)},${encode(end)}`;
+  }
+
+  /**
+   * Finds the id of the nearest element that starts at or before the given
+   * range, such as the heading of the section the selection is in.
+   * @param {Range} range - The selected range.
+   * @returns {string} The id, or '' if there is none.
+   */
+  function findAnchorId(range) {
+    const start = range.startContainer;
+    let anchor = '';
+    // Elements come in document order, so the last match before the selection
+    // is the nearest one
+    for (const element of document.querySelectorAll('[id], a[name]')) {
+      const position = element.compareDocumentPosition(start);
+      const contains =
+        element === start || position & Node.DOCUMENT_POSITION_CONTAINED_BY;
+      if (!contains && !(position & Node.DOCUMENT_POSITION_FOLLOWING)) {
+        break;
+      }
+      // Of the elements before the selection, only headings and named anchors
+      // mark where a section starts; other ids (icons, inputs) are skipped
+      if (contains || element.closest('h1, h2, h3, h4, h5, h6, a')) {
+        anchor = element.id || element.getAttribute('name') || anchor;
+      }
+    }
+    return anchor;
+  }
+
+  const selection = window.getSelection();
+  const quote = selection?.toString() || '';
+  let quoteHtml = '';
+  let quoteMarkdown = '';
+  let anchor = '';
+  if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+    const container = cloneSelection(selection);
+    quoteHtml = container.innerHTML;
+    quoteMarkdown = toMarkdown(container, 0)
+      .replace(/[ \t]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n');
+    anchor = findAnchorId(selection.getRangeAt(0));
+  }
+
+  /**
+   * Reads the text of the first element matching a selector.
+   * @param {string} selector - The CSS selector.
+   * @returns {string} The text, with whitespace collapsed.
+   */
+  function readElementText(selector) {
+    try {
+      const element = document.querySelector(selector);
+      return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+    } catch (error) {
+      return ''; // Invalid selector
+    }
+  }
+
+  /** @type {Object<string, string>} */
+  const selectorTexts = {};
+  titleSelectors.forEach((selector) => {
+    selectorTexts[selector] = readElementText(selector);
+  });
+
+  const canonical = /** @type {HTMLLinkElement|null} */ (
+    document.querySelector('link[rel~="canonical"][href]')
+  );
+
+  return {
+    quote,
+    // Selections inside form fields have text but no DOM nodes
+    quoteHtml: quoteHtml.trim() ? quoteHtml : '',
+    quoteMarkdown: quoteMarkdown.trim(),
+    textFragment: buildTextFragment(quote),
+    anchor,
+    metadata: {
+      meta,
+      canonical: canonical ? canonical.href : '',
+      author:
+        meta.author ||
+        meta['article:author'] ||
+        linkedData.author ||
+        meta['twitter:creator'] ||
+        '',
+      published:
+        meta['article:published_time'] ||
+        linkedData.published ||
+        meta['datepublished'] ||
+        meta['date'] ||
+        meta['pubdate'] ||
+        document.querySelector('time[datetime]')?.getAttribute('datetime') ||
+        '',
+      lang: document.documentElement.lang || '',
+    },
+    titleSources: {
+      og_title: meta['og:title'] || '',
+      h1: readElementText('h1'),
+      selectors: selectorTexts,
+    },
+  };
+}
+
+/**
+ * Reads the data the placeholders need from a tab's page.
+ * Pages that can't be scripted (e.g. chrome:// pages) simply have no quote
+ * and no metadata.
+ * @param {chrome.tabs.Tab} tab - The tab to read from.
+ * @param {TitleRule[]} [titleRules=[]] - The title preprocessing rules, whose
+ *   CSS selector title sources are read too.
+ * @returns {Promise<PageData>} The page data.
+ */
+async function collectPageData(tab, titleRules = []) {
+  /** @type {PageData} */
+  const pageData = {
+    tab,
+    quote: '',
+    quoteHtml: '',
+    quoteMarkdown: '',
+    textFragment: '',
+    anchor: '',
+    metadata: EMPTY_PAGE_METADATA,
+    titleSources: EMPTY_TITLE_SOURCES,
+  };
+  if (!canInjectIntoTab(tab)) {
+    return pageData;
+  }
+
+  try {
+    const injectionResults = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: readPageDetails,
+      args: [getTitleSelectors(titleRules)],
+    });
+    const details =
+      injectionResults && injectionResults.length > 0
+        ? injectionResults[0].result
+        : null;
+    if (details) {
+      pageData.quote = details.quote.trim();
+      pageData.quoteHtml = details.quoteHtml;
+      pageData.quoteMarkdown = details.quoteMarkdown;
+      pageData.textFragment = details.textFragment;
+      pageData.anchor = details.anchor;
+      pageData.metadata = details.metadata;
+      pageData.titleSources = details.titleSources;
+    }
+  } catch (e) {
+    console.warn(`Could not read page details for tab ${tab.id}:`, e);
+    // Proceed without selected text and metadata for this tab
+  }
+  return pageData;
+}
+
+/**
+ * Reads what the context menu doesn't report about a link or image: the
+ * link's text and the image's alternative text, found by URL (the first
+ * element with it wins), and the frame's title. Injected into the frame the
+ * menu was opened in, so it must stay self-contained.
+ * @param {string} linkUrl - The URL of the link, or ''.
+ * @param {string} srcUrl - The URL of the image, or ''.
+ * @returns {{linkText: string, imageAlt: string, frameTitle: string}} The
+ *   details, '' where not found.
+ */
+function readMenuTargetDetails(linkUrl, srcUrl) {
+  const link = linkUrl
+    ? [...document.querySelectorAll('a[href], area[href]')].find(
+        (element) => element.href === linkUrl,
+      )
+    : null;
+  const image = srcUrl
+    ? [...document.images].find(
+        (element) => element.currentSrc === srcUrl || element.src === srcUrl,
+      )
+    : null;
+  return {
+    // A link around an image has no text, so its image's alt text stands in
+    linkText: link
+      ? (link.innerText || '').replace(/\s+/g, ' ').trim() ||
+        link.querySelector('img')?.alt ||
+        link.title ||
+        ''
+      : '',
+    imageAlt: image ? image.alt : '',
+    frameTitle: document.title,
+  };
+}
+
+/**
+ * Collects the data a context menu entry formats for its target. A link,
+ * image or frame stands in for the tab: its text (or alternative text, or
+ * the frame's title) is the title, and its URL the URL. A selection is
+ * formatted with the tab, quoting the selection.
+ * @param {chrome.tabs.Tab} tab - The tab the menu was opened in.
+ * @param {MenuTarget} target - The menu target.
+ * @param {TitleRule[]} [titleRules=[]] - The title preprocessing rules.
+ * @returns {Promise<PageData>} The page data, with the filled-in target.
+ */
+async function collectMenuTargetData(tab, target, titleRules = []) {
+  if (target.type === 'selection') {
+    const pageData = await collectPageData(tab, titleRules);
+    // The page can't always be read, but the menu still knows the selection
+    return {
+      ...pageData,
+      quote: pageData.quote || target.selectionText.trim(),
+      target,
+    };
+  }
+
+  let details = { linkText: '', imageAlt: '', frameTitle: '' };
+  if (canInjectIntoTab(tab)) {
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [target.frameId] },
+        func: readMenuTargetDetails,
+        args: [target.linkUrl, target.srcUrl],
+      });
+      details = injection?.result || details;
+    } catch (e) {
+      console.warn(`Could not read the menu target in tab ${tab.id}:`, e);
+    }
+  }
+  const filledTarget = {
+    ...target,
+    linkText: target.linkText || details.linkText,
+    imageAlt: details.imageAlt,
+  };
+  const standIn = {
+    link: {
+      title: filledTarget.linkText || target.linkUrl,
+      url: target.linkUrl,
+    },
+    image: { title: filledTarget.imageAlt, url: target.srcUrl },
+    frame: { title: details.frameTitle || tab.title, url: target.frameUrl },
+  }[target.type];
+
+  return {
+    tab: { ...tab, ...standIn },
+    quote: target.selectionText.trim(),
+    quoteHtml: '',
+    quoteMarkdown: '',
+    textFragment: '',
+    anchor: '',
+    metadata: EMPTY_PAGE_METADATA,
+    titleSources: EMPTY_TITLE_SOURCES,
+    target: filledTarget,
+  };
+}
+
+/**
+ * The settings of a copy format, as stored (with `\n` typed literally).
+ * @typedef {Object} FormatSettings
+ * @property {string} [clickType] - The click type the format is used from.
+ * @property {string} template - The per-tab template.
+ * @property {string} prefix - The header of a multi-tab copy.
+ * @property {string} separator - The text between tabs.
+ * @property {string} suffix - The footer of a multi-tab copy.
+ * @property {string} outputLanguage - A key of `OUTPUT_LANGUAGES`.
+ * @property {string} htmlMode - 'none', 'markdown' or 'template'.
+ * @property {string} htmlFormat - The HTML template used by the 'template' mode.
+ * @property {FormatOverride[]} [overrides] - The click slot's site overrides.
+ */
+
+/**
+ * A per-site override of a click slot's template, stored in the slot's
+ * `<type>ClickOverrides` list. Its `url` is matched against the tab URL the
+ * same way as a title preprocessing rule's.
+ * @typedef {Object} FormatOverride
+ * @property {string} url - The pattern of the URLs the override applies to.
+ * @property {string} matchType - A key of `TITLE_RULE_MATCH_TYPES`.
+ * @property {string} template - The per-tab template used on those URLs.
+ */
+
+/**
+ * Checks whether a site override copies or opens URLs like its format does.
+ * The format's own template decides that for every tab, so an override that
+ * doesn't would be copied as a URL or opened as text; such overrides are
+ * ignored.
+ * @param {FormatSettings} settings - The format settings.
+ * @param {FormatOverride} override - The site override.
+ * @returns {boolean} True if both copy or both open URLs.
+ */
+function isOverrideActionConsistent(settings, override) {
+  return isUrlFormat(override.template) === isUrlFormat(settings.template);
+}
+
+/**
+ * Returns the per-tab template a format uses for a tab: the template of the
+ * first usable site override matching the tab's URL, or else the format's
+ * own.
+ * @param {FormatSettings} settings - The format settings.
+ * @param {string} url - The cleaned URL of the tab, as copied.
+ * @returns {string} The template, as stored.
+ */
+function getTemplateForUrl(settings, url) {
+  const override = (settings.overrides || []).find(
+    (candidate) =>
+      candidate.template &&
+      isOverrideActionConsistent(settings, candidate) &&
+      matchesTitleRule(candidate, url),
+  );
+  return override ? override.template : settings.template;
+}
+
+/**
+ * Returns the storage defaults of the per-format settings of a click type,
+ * to be spread into a chrome.storage.sync.get() request.
+ * @param {string} clickType - The click type (e.g., 'single', 'double', 'triple').
+ * @returns {Object<string, string|FormatOverride[]>} Default values keyed by
+ *   storage key.
+ */
+function getFormatSettingsDefaults(clickType) {
+  return {
+    [`${clickType}ClickPrefix`]: DEFAULT_LIST_LAYOUT.prefix,
+    [`${clickType}ClickSeparator`]: DEFAULT_LIST_LAYOUT.separator,
+    [`${clickType}ClickSuffix`]: DEFAULT_LIST_LAYOUT.suffix,
+    [`${clickType}ClickOutputLanguage`]: DEFAULT_OUTPUT_LANGUAGE,
+    [`${clickType}ClickHtmlMode`]: DEFAULT_HTML_SETTINGS.mode,
+    [`${clickType}ClickHtmlFormat`]: DEFAULT_HTML_SETTINGS.format,
+    [`${clickType}ClickOverrides`]: [],
+  };
+}
+
+/**
+ * Picks the format settings of a click type out of stored items.
+ * @param {Object} items - Items read from chrome.storage.sync, including the
+ *                         defaults from `getFormatSettingsDefaults`.
+ * @param {string} clickType - The click type (e.g., 'single', 'double', 'triple').
+ * @returns {FormatSettings} The format settings.
+ */
+function readFormatSettings(items, clickType) {
+  return {
+    clickType,
+    template: items[`${clickType}ClickFormat`] || '',
+    prefix: items[`${clickType}ClickPrefix`],
+    separator: items[`${clickType}ClickSeparator`],
+    suffix: items[`${clickType}ClickSuffix`],
+    outputLanguage: items[`${clickType}ClickOutputLanguage`],
+    htmlMode: items[`${clickType}ClickHtmlMode`],
+    htmlFormat: items[`${clickType}ClickHtmlFormat`],
+    overrides: items[`${clickType}ClickOverrides`] || [],
+  };
+}
+
+/**
+ * A named format kept in the format library. Click slots can use a library
+ * format instead of their own settings, and every library format is listed
+ * in the context menu. Stored as the `formatLibrary` array in sync storage.
+ * @typedef {Object} LibraryFormat
+ * @property {string} id - Identifier referenced by click slots and menus.
+ * @property {string} name - The name shown in menus and the options page.
+ * @property {string} icon - An emoji shown before the name, or ''.
+ * @property {string} template - The per-tab template.
+ * @property {string} prefix - The header of a multi-tab copy.
+ * @property {string} separator - The text between tabs.
+ * @property {string} suffix - The footer of a multi-tab copy.
+ * @property {string} outputLanguage - A key of `OUTPUT_LANGUAGES`.
+ * @property {string} htmlMode - 'none', 'markdown' or 'template'.
+ * @property {string} htmlFormat - The HTML template used by the 'template' mode.
+ */
+
+/**
+ * Prefix of the `<type>ClickFormatType` of a click slot that uses a library
+ * format, followed by the format's id (e.g. 'library:4f1c…').
+ * @type {string}
+ * @constant
+ */
+const LIBRARY_FORMAT_TYPE_PREFIX = 'library:';
+
+/**
+ * Finds the library format a click slot's format type refers to.
+ * @param {LibraryFormat[]} library - The format library.
+ * @param {string} formatType - A `<type>ClickFormatType` value.
+ * @returns {LibraryFormat|undefined} The format, or undefined if the type is
+ *   not a library format or the format was deleted.
+ */
+function findLibraryFormat(library, formatType) {
+  if (!formatType || !formatType.startsWith(LIBRARY_FORMAT_TYPE_PREFIX)) {
+    return undefined;
+  }
+  const id = formatType.slice(LIBRARY_FORMAT_TYPE_PREFIX.length);
+  return library.find((format) => format.id === id);
+}
+
+/**
+ * Returns the format settings of a library format, with defaults for the
+ * settings it doesn't have.
+ * @param {LibraryFormat} format - The library format.
+ * @param {string} [clickType] - The click slot the format is used from, if
+ *   any. Title rules limited to some slots only apply through those slots.
+ * @returns {FormatSettings} The format settings.
+ */
+function getLibraryFormatSettings(format, clickType) {
+  return {
+    clickType,
+    template: format.template || '',
+    prefix: format.prefix ?? DEFAULT_LIST_LAYOUT.prefix,
+    separator: format.separator ?? DEFAULT_LIST_LAYOUT.separator,
+    suffix: format.suffix ?? DEFAULT_LIST_LAYOUT.suffix,
+    outputLanguage: format.outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+    htmlMode: format.htmlMode || DEFAULT_HTML_SETTINGS.mode,
+    htmlFormat: format.htmlFormat ?? DEFAULT_HTML_SETTINGS.format,
+  };
+}
+
+/**
+ * Returns the name of a library format as shown in menus, with its icon.
+ * @param {LibraryFormat} format - The library format.
+ * @returns {string} The label.
+ */
+function getLibraryFormatLabel(format) {
+  return format.icon ? `${format.icon} ${format.name}` : format.name;
+}
+
+/**
+ * Reads the format library from storage.
+ * @returns {Promise<LibraryFormat[]>} The library formats, in their order.
+ */
+async function loadFormatLibrary() {
+  const { formatLibrary } = await chrome.storage.sync.get({
+    formatLibrary: [],
+  });
+  return formatLibrary;
+}
+
+/**
+ * Prefix of the commands declared in manifest.json that copy with a chosen
+ * format, followed by their number (e.g. 'copy-format-1').
+ * @type {string}
+ * @constant
+ */
+const FORMAT_COMMAND_PREFIX = 'copy-format-';
+
+/**
+ * Default format of each format command, stored as `commandFormats`. A format
+ * is a click type, which uses that click slot's format, a library format
+ * type ('library:<id>') or '' for none. The first five commands use the five
+ * click slots.
+ * @type {Object<string, string>}
+ * @constant
+ */
+const DEFAULT_COMMAND_FORMATS = {
+  'copy-format-1': 'single',
+  'copy-format-2': 'double',
+  'copy-format-3': 'triple',
+  'copy-format-4': 'fourth',
+  'copy-format-5': 'fifth',
+  'copy-format-6': '',
+  'copy-format-7': '',
+  'copy-format-8': '',
+};
+
+/**
+ * The result of rendering a format for a set of tabs.
+ * @typedef {Object} RenderedCopy
+ * @property {boolean} isUrlAction - True if the format opens URLs instead of copying.
+ * @property {string[]} urls - The URLs to open, one per tab (URL formats only).
+ * @property {string} text - The text to copy.
+ * @property {string|undefined} html - The rich text version of the copy, if any.
+ */
+
+/**
+ * Cleans the URLs of a menu target like the URLs of tabs.
+ * @param {MenuTarget} target - The menu target.
+ * @param {UrlCleaningConfig} config - The URL cleaning configuration.
+ * @returns {MenuTarget} The menu target with cleaned URLs.
+ */
+function cleanMenuTargetUrls(target, config) {
+  const clean = (url) => (url ? getCopyUrl(url, '', config) : '');
+  return {
+    ...target,
+    linkUrl: clean(target.linkUrl),
+    srcUrl: clean(target.srcUrl),
+    frameUrl: clean(target.frameUrl),
+  };
+}
+
+/**
+ * Renders a format for a set of tabs. This is the formatting pipeline behind
+ * every copy: URL cleaning, title preprocessing, the per-tab template (which
+ * site overrides pick for each tab), the multi-tab layout, the output
+ * language and the rich text version. Whether the format copies or opens
+ * URLs depends on its own template only.
+ * @param {PageData[]} pages - The tabs to format, with their page data.
+ * @param {FormatSettings} settings - The format to render.
+ * @param {ProcessingRules} processing - The URL cleaning and title
+ *   preprocessing rules.
+ * @param {Date} [now=new Date()] - The time used by `<date>` and `<time>`.
+ * @returns {RenderedCopy} The rendered copy.
+ */
+function renderCopy(pages, settings, processing, now = new Date()) {
+  // Replace literal '\n' (from user input) with actual newline characters in the templates
+  const [template, prefix, separator, suffix, htmlTemplate] = [
+    settings.template,
+    settings.prefix,
+    settings.separator,
+    settings.suffix,
+    settings.htmlFormat,
+  ].map((value) => (value || '').replace(/\\n/g, '\n'));
+  const outputLanguage =
+    OUTPUT_LANGUAGES[settings.outputLanguage] || OUTPUT_LANGUAGES.plain;
+  const isUrlAction = isUrlFormat(template);
+  /**
+   * The per-tab templates, matched against the cleaned URLs like the titles
+   * @type {string[]}
+   */
+  const templates = [];
+
+  const contexts = pages.map((page, index) => {
+    const { tab, quote, metadata = EMPTY_PAGE_METADATA } = page;
+    const url = getCopyUrl(
+      tab.url || '',
+      metadata.canonical,
+      processing.urlCleaning,
+    );
+    templates.push(getTemplateForUrl(settings, url).replace(/\\n/g, '\n'));
+    /** @type {TitleRuleScope} */
+    const scope = {
+      clickType: settings.clickType,
+      outputLanguage: settings.outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+    };
+    const cleanTitle = applyTitlePreprocessing(
+      stripSiteName(tab.title || '', metadata),
+      url,
+      processing.titleRules,
+      scope,
+      page.titleSources,
+    );
+    /** @type {TemplateContext} */
+    const context = {
+      tab,
+      title: processing.smartTitle
+        ? cleanTitle
+        : applyTitlePreprocessing(
+            tab.title || '',
+            url,
+            processing.titleRules,
+            scope,
+            page.titleSources,
+          ),
+      cleanTitle,
+      url,
+      quote,
+      quoteHtml: page.quoteHtml || '',
+      quoteMarkdown: page.quoteMarkdown || '',
+      textFragment: page.textFragment || '',
+      anchor: page.anchor || '',
+      metadata,
+      target: cleanMenuTargetUrls(
+        page.target || EMPTY_MENU_TARGET,
+        processing.urlCleaning,
+      ),
+      index: index + 1,
+      count: pages.length,
+      now,
+    };
+    return context;
+  });
+
+  if (isUrlAction) {
+    // For open action, URL encode every substituted value
+    return {
+      isUrlAction,
+      urls: contexts.map((context, index) =>
+        renderTemplate(templates[index], context, encodeURIComponent).trim(),
+      ),
+      text: '',
+      html: undefined,
+    };
+  }
+
+  // For copy action, escape values for the format's output language
+  const texts = contexts.map((context, index) =>
+    renderTemplate(templates[index], context, outputLanguage.escape).trim(),
+  );
+  // The header and footer are rendered against the first tab, which
+  // makes list-wide placeholders like <count> and <date> available
+  const text =
+    renderTemplate(prefix, contexts[0], outputLanguage.escape) +
+    texts.join(separator) +
+    renderTemplate(suffix, contexts[0], outputLanguage.escape);
+
+  let html;
+  if (settings.htmlMode === 'markdown') {
+    html = markdownToHtml(text);
+  } else if (settings.htmlMode === 'template' && htmlTemplate) {
+    const { escape } = OUTPUT_LANGUAGES.html;
+    // The layout is written as text, so all of it is escaped, not just its
+    // values, and its line breaks become <br>s
+    const renderLayout = (layout) =>
+      escape(
+        renderTemplate(layout, contexts[0], OUTPUT_LANGUAGES.plain.escape),
+      ).replace(/\n/g, '<br>\n');
+    html =
+      renderLayout(prefix) +
+      contexts
+        .map((context) => renderTemplate(htmlTemplate, context, escape).trim())
+        .join(renderLayout(separator)) +
+      renderLayout(suffix);
+  }
+
+  return { isUrlAction, urls: [], text, html };
+}
+
+/**
+ * Names of HTML elements commonly written in templates. Unknown placeholders
+ * with these names are expected to be markup rather than typos.
+ * @type {Set<string>}
+ * @constant
+ */
+const HTML_TAG_NAMES = new Set(
+  (
+    'a abbr b blockquote br caption cite code dd del div dl dt em h1 h2 h3 h4 ' +
+    'h5 h6 hr i img ins kbd li mark ol p pre q s small span strong sub sup ' +
+    'table tbody td tfoot th thead tr u ul'
+  ).split(' '),
+);
+
+/**
+ * A problem found in a template by `validateTemplate`.
+ * @typedef {Object} TemplateProblem
+ * @property {'error'|'warning'} severity - Errors change the output in unintended ways; warnings may be intended.
+ * @property {string} message - A human-readable description.
+ */
+
+/**
+ * Checks a template for syntax errors and unknown placeholders or filters.
+ * @param {string} template - The format template.
+ * @returns {TemplateProblem[]} The problems found, in template order.
+ */
+function validateTemplate(template) {
+  /** @type {TemplateProblem[]} */
+  const problems = [];
+
+  const sectionErrors = [];
+  parseSections(template, sectionErrors);
+  for (const message of sectionErrors) {
+    problems.push({ severity: 'error', message });
+  }
+
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const [placeholder, escaped, name, rest] = match;
+    if (escaped) {
+      continue;
+    }
+    if (!Object.hasOwn(PLACEHOLDERS, name)) {
+      if (rest || !HTML_TAG_NAMES.has(name.toLowerCase())) {
+        problems.push({
+          severity: 'warning',
+          message: `Unknown placeholder ${placeholder} will be copied as is`,
+        });
+      }
+      continue;
+    }
+    for (const filter of parsePlaceholderRest(rest).filters) {
+      if (!Object.hasOwn(FILTERS, filter.name)) {
+        problems.push({
+          severity: 'error',
+          message: `Unknown filter "${filter.name}" in ${placeholder}`,
+        });
+      }
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview The format library page: edits the named formats that click
+ * slots can use and that are listed in the context menu, with a preview of
+ * each format rendered against an open tab.
+ */
+
+/**
+ * Click types whose slots can use a library format.
+ * This should be kept in sync with the `clickTypes` in `options.js`.
+ * @type {string[]}
+ * @constant
+ */
+const CLICK_TYPES = ['single', 'double', 'triple', 'fourth', 'fifth'];
+
+const elements = {
+  formatsContainer: document.getElementById('formats-container'),
+  noFormatsMessage: document.getElementById('no-formats'),
+  addFormatButton: document.getElementById('add-format-btn'),
+  formatTemplate: /** @type {HTMLTemplateElement} */ (
+    document.getElementById('library-format-template')
+  ),
+  saveButton: document.getElementById('save-library-btn'),
+  statusMessage: document.getElementById('status-message'),
+};
+
+/**
+ * The page the previews are rendered with, and the processing rules.
+ * @type {{page: PageData|null, processing: ProcessingRules|null}}
+ */
+const previewData = { page: null, processing: null };
+
+/**
+ * Shows a status message next to the save button for a few seconds.
+ * @param {string} message - The message to show.
+ * @param {boolean} [isError=false] - Whether the message reports an error.
+ */
+function showStatusMessage(message, isError = false) {
+  elements.statusMessage.textContent = message;
+  elements.statusMessage.className = isError
+    ? 'text-sm text-red-600 dark:text-red-400'
+    : 'text-sm text-green-600 dark:text-green-400';
+  setTimeout(() => {
+    elements.statusMessage.textContent = '';
+  }, 3000);
+}
+
+/**
+ * Shows the "No formats yet" message when the library is empty.
+ */
+function updateEmptyMessage() {
+  elements.noFormatsMessage.style.display = elements.formatsContainer.children
+    .length
+    ? 'none'
+    : 'block';
+}
+
+/**
+ * Reads a library format from its form element.
+ * @param {HTMLElement} formatElement - The format element.
+ * @returns {LibraryFormat} The format as it would be saved.
+ */
+function readFormatElement(formatElement) {
+  const value = (selector) => formatElement.querySelector(selector).value;
+  return {
+    id: formatElement.dataset.formatId,
+    name: value('.format-name').trim(),
+    icon: value('.format-icon').trim(),
+    template: value('.format-template'),
+    // Whitespace is significant in the layout, so these are kept as typed
+    prefix: value('.format-prefix'),
+    separator: value('.format-separator'),
+    suffix: value('.format-suffix'),
+    outputLanguage: value('.format-output-language'),
+    htmlMode: value('.format-html-mode'),
+    htmlFormat: value('.format-html-format').trim(),
+  };
+}
+
+/**
+ * Renders the preview of a library format and lists problems found in its
+ * templates.
+ * @param {HTMLElement} formatElement - The format element.
+ */
+function updateFormatPreview(formatElement) {
+  const previewElement = formatElement.querySelector('.format-preview');
+  const problemsElement = formatElement.querySelector('.format-problems');
+  const settings = getLibraryFormatSettings(readFormatElement(formatElement));
+
+  formatElement.querySelector('.format-html-format').style.display =
+    settings.htmlMode === 'template' ? 'block' : 'none';
+
+  problemsElement.innerHTML = '';
+  for (const template of [settings.template, settings.htmlFormat]) {
+    for (const problem of validateTemplate(template)) {
+      const item = document.createElement('li');
+      item.textContent = `${problem.severity === 'error' ? '❌' : '⚠️'} ${
+        problem.message
+      }`;
+      item.className =
+        problem.severity === 'error'
+          ? 'text-red-600 dark:text-red-400'
+          : 'text-amber-600 dark:text-amber-400';
+      problemsElement.appendChild(item);
+    }
+  }
+
+  if (!previewData.page) {
+    previewElement.textContent = '';
+    return;
+  }
+  if (settings.template === '<screenshot>') {
+    previewElement.textContent = 'Copies a screenshot of the current tab.';
+    return;
+  }
+  const copy = renderCopy([previewData.page], settings, previewData.processing);
+  previewElement.textContent = copy.isUrlAction
+    ? `Opens: ${copy.urls[0]}`
+    : copy.text;
+}
+
+/**
+ * Creates the form element of a library format.
+ * @param {LibraryFormat} [format] - The format to show. Without one, a new
+ *   format with a fresh id and the default settings is created.
+ * @returns {HTMLElement} The format element.
+ */
+function createFormatElement(format) {
+  const settings = format
+    ? getLibraryFormatSettings(format)
+    : getLibraryFormatSettings({
+        id: '',
+        name: '',
+        icon: '',
+        template: '[<title>](<url>)',
+      });
+  const fragment = /** @type {DocumentFragment} */ (
+    elements.formatTemplate.content.cloneNode(true)
+  );
+  const formatElement = /** @type {HTMLElement} */ (
+    fragment.querySelector('.library-format')
+  );
+  formatElement.dataset.formatId = format ? format.id : crypto.randomUUID();
+
+  const languageSelect = formatElement.querySelector('.format-output-language');
+  for (const key in OUTPUT_LANGUAGES) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = OUTPUT_LANGUAGES[key].name;
+    languageSelect.appendChild(option);
+  }
+
+  formatElement.querySelector('.format-name').value = format?.name || '';
+  formatElement.querySelector('.format-icon').value = format?.icon || '';
+  formatElement.querySelector('.format-template').value = settings.template;
+  formatElement.querySelector('.format-prefix').value = settings.prefix;
+  formatElement.querySelector('.format-separator').value = settings.separator;
+  formatElement.querySelector('.format-suffix').value = settings.suffix;
+  languageSelect.value = settings.outputLanguage;
+  formatElement.querySelector('.format-html-mode').value = settings.htmlMode;
+  formatElement.querySelector('.format-html-format').value =
+    settings.htmlFormat;
+
+  formatElement.querySelector('.move-up-btn').addEventListener('click', () => {
+    formatElement.previousElementSibling?.before(formatElement);
+  });
+  formatElement
+    .querySelector('.move-down-btn')
+    .addEventListener('click', () => {
+      formatElement.nextElementSibling?.after(formatElement);
+    });
+  formatElement
+    .querySelector('.remove-format-btn')
+    .addEventListener('click', () => {
+      formatElement.remove();
+      updateEmptyMessage();
+    });
+  formatElement.addEventListener('input', () =>
+    updateFormatPreview(formatElement),
+  );
+  formatElement.addEventListener('change', () =>
+    updateFormatPreview(formatElement),
+  );
+
+  updateFormatPreview(formatElement);
+  return formatElement;
+}
+
+/**
+ * Loads the first web page open in this window (or a sample page) and the
+ * processing rules used to render the previews.
+ */
+async function loadPreviewData() {
+  try {
+    const [windowTabs, processing] = await Promise.all([
+      chrome.tabs.query({ currentWindow: true }),
+      loadProcessingRules(),
+    ]);
+    const tab =
+      windowTabs.find((windowTab) => /^https?:/.test(windowTab.url || '')) ||
+      SAMPLE_PREVIEW_TAB;
+    previewData.processing = processing;
+    previewData.page = await collectPageData(tab, processing.titleRules);
+  } catch (error) {
+    console.error('Error loading preview data:', error);
+  }
+}
+
+/**
+ * Loads the saved library into the form.
+ */
+async function loadLibrary() {
+  try {
+    const library = await loadFormatLibrary();
+    library.forEach((format) => {
+      elements.formatsContainer.appendChild(createFormatElement(format));
+    });
+  } catch (error) {
+    console.error('Error loading the format library:', error);
+    showStatusMessage('Error loading the format library.', true);
+  }
+  updateEmptyMessage();
+}
+
+/**
+ * Measures an item the way sync storage counts it against its per-item quota:
+ * the key plus the value as JSON, in UTF-8 bytes.
+ * @param {string} key - The storage key.
+ * @param {*} value - The value to store.
+ * @returns {number} The size in bytes.
+ */
+function getSyncItemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Saves the library. Click slots that used a deleted format are set to do
+ * nothing, and format shortcuts that used one to no format, so that they
+ * don't keep pointing at it.
+ */
+async function saveLibrary() {
+  const library = [
+    ...elements.formatsContainer.querySelectorAll('.library-format'),
+  ].map(readFormatElement);
+  if (library.some((format) => !format.name || !format.template)) {
+    showStatusMessage('Every format needs a name and a template.', true);
+    return;
+  }
+  // The library is a single sync item, which sync storage rejects as a whole
+  // once it is over the per-item quota
+  const size = getSyncItemSize('formatLibrary', library);
+  if (size > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+    showStatusMessage(
+      `Not saved: the library takes ${size} bytes, more than the ${chrome.storage.sync.QUOTA_BYTES_PER_ITEM} sync storage allows. Shorten or remove some formats.`,
+      true,
+    );
+    return;
+  }
+
+  try {
+    const slotItems = await chrome.storage.sync.get([
+      ...CLICK_TYPES.map((type) => `${type}ClickFormatType`),
+      'commandFormats',
+    ]);
+    const dataToSave = { formatLibrary: library };
+    CLICK_TYPES.forEach((type) => {
+      const formatType = slotItems[`${type}ClickFormatType`];
+      if (
+        formatType?.startsWith(LIBRARY_FORMAT_TYPE_PREFIX) &&
+        !findLibraryFormat(library, formatType)
+      ) {
+        dataToSave[`${type}ClickFormatType`] = 'do_nothing';
+        dataToSave[`${type}ClickFormat`] = 'do_nothing';
+      }
+    });
+    if (slotItems.commandFormats) {
+      const commandFormats = { ...slotItems.commandFormats };
+      for (const command in commandFormats) {
+        if (
+          commandFormats[command].startsWith(LIBRARY_FORMAT_TYPE_PREFIX) &&
+          !findLibraryFormat(library, commandFormats[command])
+        ) {
+          commandFormats[command] = '';
+        }
+      }
+      dataToSave.commandFormats = commandFormats;
+    }
+    await chrome.storage.sync.set(dataToSave);
+    showStatusMessage('Library saved!');
+  } catch (error) {
+    // Sync storage limits the size of each item, which a large library can exceed
+    console.error('Error saving the format library:', error);
+    showStatusMessage(`Error saving the library: ${error.message}`, true);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  elements.addFormatButton.addEventListener('click', () => {
+    elements.formatsContainer.appendChild(createFormatElement());
+    updateEmptyMessage();
+  });
+  elements.saveButton.addEventListener('click', saveLibrary);
+
+  await loadPreviewData();
+  await loadLibrary();
+});
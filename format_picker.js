@@ -0,0 +1,259 @@
+/**
+ * @fileoverview The format picker: the action popup in 'picker' mode. Lists
+ * the configured formats with a preview of what each copies for the
+ * highlighted tabs, and hands the picked one to the background worker.
+ */
+
+/**
+ * A format listed in the picker, as returned by the background worker.
+ * @typedef {Object} PickerFormat
+ * @property {string} format - A click type or a library format type
+ *   ('library:<id>').
+ * @property {string} label - The name shown in the list.
+ * @property {FormatSettings} settings - The settings the format copies with.
+ */
+
+/**
+ * How many formats can be picked with the number keys.
+ * @type {number}
+ * @constant
+ */
+const NUMBERED_FORMAT_COUNT = 9;
+
+const elements = {
+  filterInput: /** @type {HTMLInputElement} */ (
+    document.getElementById('filter-input')
+  ),
+  formatsList: document.getElementById('formats-list'),
+  noFormatsMessage: document.getElementById('no-formats'),
+  itemTemplate: /** @type {HTMLTemplateElement} */ (
+    document.getElementById('picker-item-template')
+  ),
+  openOptionsButton: document.getElementById('open-options-btn'),
+};
+
+/**
+ * The highlighted tabs the formats act on.
+ * @type {chrome.tabs.Tab[]}
+ */
+let tabs = [];
+
+/**
+ * The list items of the formats that match the filter, in order.
+ * @type {HTMLElement[]}
+ */
+let visibleItems = [];
+
+/**
+ * The index of the selected item in `visibleItems`.
+ * @type {number}
+ */
+let selectedIndex = 0;
+
+/**
+ * Describes what a format copies for the given pages.
+ * @param {FormatSettings} settings - The format settings.
+ * @param {PageData[]} pages - The pages of the highlighted tabs.
+ * @param {ProcessingRules} processing - The processing rules.
+ * @returns {string} The preview text.
+ */
+function renderPreview(settings, pages, processing) {
+  if (settings.template === '<screenshot>') {
+    return 'Copies a screenshot of the current tab.';
+  }
+  const copy = renderCopy(pages, settings, processing);
+  return copy.isUrlAction ? `Opens: ${copy.urls.join(', ')}` : copy.text;
+}
+
+/**
+ * Creates the list item of a format.
+ * @param {PickerFormat} pickerFormat - The format.
+ * @returns {HTMLElement} The list item.
+ */
+function createItemElement(pickerFormat) {
+  const fragment = /** @type {DocumentFragment} */ (
+    elements.itemTemplate.content.cloneNode(true)
+  );
+  const item = /** @type {HTMLElement} */ (
+    fragment.querySelector('.picker-item')
+  );
+  item.dataset.format = pickerFormat.format;
+  item.dataset.filterText = `${
+    pickerFormat.label
+  } ${pickerFormat.settings.template.replace(/\\n/g, ' ')}`.toLowerCase();
+  item.querySelector('.item-label').textContent = pickerFormat.label;
+  item.querySelector('.item-preview').textContent = 'Loading preview…';
+
+  item.addEventListener('click', () => pickFormat(item));
+  item.addEventListener('mousemove', () => {
+    const index = visibleItems.indexOf(item);
+    if (index !== selectedIndex) {
+      selectItem(index);
+    }
+  });
+  return item;
+}
+
+/**
+ * Selects a visible item and scrolls it into view.
+ * @param {number} index - The index in `visibleItems`.
+ */
+function selectItem(index) {
+  visibleItems[selectedIndex]?.classList.remove('selected');
+  visibleItems[selectedIndex]?.setAttribute('aria-selected', 'false');
+  selectedIndex = index;
+  const item = visibleItems[selectedIndex];
+  if (item) {
+    item.classList.add('selected');
+    item.setAttribute('aria-selected', 'true');
+    item.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/**
+ * Shows the formats matching every word typed in the filter, numbers the
+ * first ones and selects the first.
+ */
+function applyFilter() {
+  const words = elements.filterInput.value.toLowerCase().split(/\s+/);
+  const items = /** @type {HTMLElement[]} */ ([
+    ...elements.formatsList.querySelectorAll('.picker-item'),
+  ]);
+  visibleItems = [];
+  items.forEach((item) => {
+    const matches = words.every((word) =>
+      item.dataset.filterText.includes(word),
+    );
+    item.style.display = matches ? '' : 'none';
+    item.classList.remove('selected');
+    item.querySelector('.item-number').textContent = '';
+    if (matches) {
+      visibleItems.push(item);
+    }
+  });
+
+  visibleItems.forEach((item, index) => {
+    item.querySelector('.item-number').textContent =
+      index < NUMBERED_FORMAT_COUNT ? String(index + 1) : '';
+  });
+  elements.noFormatsMessage.textContent = items.length
+    ? 'No formats match.'
+    : 'No formats are configured. Set up click formats or the format library in the options.';
+  elements.noFormatsMessage.style.display = visibleItems.length
+    ? 'none'
+    : 'block';
+  selectedIndex = 0;
+  selectItem(0);
+}
+
+/**
+ * Runs the format of an item for the highlighted tabs and closes the picker.
+ * The background worker runs it: copying from the page needs the page, not
+ * the picker, to have the focus.
+ * @param {HTMLElement|undefined} item - The list item.
+ */
+function pickFormat(item) {
+  if (!item) {
+    return;
+  }
+  chrome.runtime
+    .sendMessage({
+      target: 'background',
+      action: 'performFormat',
+      format: item.dataset.format,
+      tabs,
+    })
+    .catch((error) => {
+      // The worker reports its own failures on the badge; this is for when
+      // the message doesn't reach it
+      console.error('Error sending the picked format:', error);
+    });
+  window.close();
+}
+
+/**
+ * Handles the keyboard: arrows move the selection, Enter picks it, and the
+ * number keys pick a numbered format while the filter is empty. Everything
+ * else is typed into the filter.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleKeyDown(event) {
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (visibleItems.length > 0) {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      selectItem(
+        (selectedIndex + step + visibleItems.length) % visibleItems.length,
+      );
+    }
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    pickFormat(visibleItems[selectedIndex]);
+  } else if (
+    /^[1-9]$/.test(event.key) &&
+    !elements.filterInput.value &&
+    !event.ctrlKey &&
+    !event.metaKey &&
+    !event.altKey
+  ) {
+    event.preventDefault();
+    pickFormat(visibleItems[Number(event.key) - 1]);
+  } else if (document.activeElement !== elements.filterInput) {
+    elements.filterInput.focus();
+  }
+}
+
+/**
+ * Renders the previews of the listed formats for the highlighted tabs.
+ * @param {PickerFormat[]} pickerFormats - The listed formats.
+ */
+async function loadPreviews(pickerFormats) {
+  const processing = await loadProcessingRules();
+  const pages = await Promise.all(
+    tabs.map((tab) => collectPageData(tab, processing.titleRules)),
+  );
+  pickerFormats.forEach((pickerFormat, index) => {
+    const preview =
+      elements.formatsList.children[index].querySelector('.item-preview');
+    try {
+      preview.textContent = renderPreview(
+        pickerFormat.settings,
+        pages,
+        processing,
+      );
+    } catch (error) {
+      console.error(`Error rendering ${pickerFormat.label}:`, error);
+      preview.textContent = '';
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.addEventListener('keydown', handleKeyDown);
+  elements.filterInput.addEventListener('input', applyFilter);
+  elements.openOptionsButton.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+  elements.filterInput.focus();
+
+  try {
+    const [highlightedTabs, response] = await Promise.all([
+      chrome.tabs.query({ highlighted: true, currentWindow: true }),
+      chrome.runtime.sendMessage({
+        target: 'background',
+        action: 'getPickerFormats',
+      }),
+    ]);
+    tabs = highlightedTabs;
+    /** @type {PickerFormat[]} */
+    const pickerFormats = response?.formats || [];
+    pickerFormats.forEach((pickerFormat) => {
+      elements.formatsList.appendChild(createItemElement(pickerFormat));
+    });
+    applyFilter();
+    await loadPreviews(pickerFormats);
+  } catch (error) {
+    console.error('Error loading the format picker:', error);
+  }
+});
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Offscreen document used as a clipboard backend.
+ * The background service worker has no DOM and therefore no clipboard access,
+ * so it sends copy requests here when it can't inject a script into the page
+ * (e.g. chrome:// pages, the Chrome Web Store or the PDF viewer).
+ */
+
+/**
+ * Copies the current selection with execCommand, optionally replacing the
+ * copied data with the given flavors.
+ * @param {Object<string, string>} [data] - Data to put on the clipboard, keyed by MIME type.
+ * @returns {boolean} True if the copy command succeeded.
+ */
+function execCopy(data) {
+  const onCopy = (event) => {
+    if (data && event.clipboardData) {
+      for (const [type, value] of Object.entries(data)) {
+        event.clipboardData.setData(type, value);
+      }
+      event.preventDefault();
+    }
+  };
+  document.addEventListener('copy', onCopy, true);
+  try {
+    return document.execCommand('copy');
+  } finally {
+    document.removeEventListener('copy', onCopy, true);
+  }
+}
+
+/**
+ * Copies text, and optionally an HTML version of it, to the clipboard.
+ * @param {string} text - The plain text to copy.
+ * @param {string|null} html - The rich text version, if any.
+ * @returns {boolean} True if the copy succeeded.
+ */
+function copyText(text, html) {
+  // The offscreen document never has focus, so the async Clipboard API is not
+  // available here. execCommand needs a selection to fire the copy event.
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  document.body.appendChild(textArea);
+  textArea.select();
+  try {
+    return execCopy(
+      html ? { 'text/plain': text, 'text/html': html } : undefined,
+    );
+  } finally {
+    document.body.removeChild(textArea);
+  }
+}
+
+/**
+ * Copies an image to the clipboard.
+ * @param {string} imageDataUrl - The image as a data URL.
+ * @returns {Promise<boolean>} True if the copy succeeded.
+ */
+async function copyImage(imageDataUrl) {
+  try {
+    const response = await fetch(imageDataUrl);
+    const blob = await response.blob();
+    await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+    return true;
+  } catch (error) {
+    // Without focus the async API usually fails; copying a selected <img>
+    // still pastes as an image in most rich editors.
+    const container = document.createElement('div');
+    container.contentEditable = 'true';
+    const image = document.createElement('img');
+    image.src = imageDataUrl;
+    container.appendChild(image);
+    document.body.appendChild(container);
+    try {
+      await image.decode();
+      const range = document.createRange();
+      range.selectNode(image);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      return execCopy();
+    } catch (fallbackError) {
+      console.error(
+        'Failed to copy image in offscreen document:',
+        fallbackError,
+      );
+      return false;
+    } finally {
+      document.body.removeChild(container);
+    }
+  }
+}
+
+/**
+ * Handles clipboard requests from the background service worker.
+ * @param {Object} message - Message object
+ * @param {string} message.target - Must be 'offscreen' for this document to respond
+ * @param {string} message.action - 'copyText' or 'copyImage'
+ * @param {chrome.runtime.MessageSender} sender - Information about the sender
+ * @param {function} sendResponse - Receives `{ success: boolean }`
+ * @returns {boolean|undefined} True to keep the channel open for the async response
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') {
+    return;
+  }
+
+  if (message.action === 'copyText') {
+    sendResponse({ success: copyText(message.text, message.html) });
+  } else if (message.action === 'copyImage') {
+    copyImage(message.dataUrl).then((success) => sendResponse({ success }));
+    return true;
+  }
+});
@@ -51,6 +51,59 @@ const DEFAULT_FORMAT_VALUES = {
   fifthClickFormat: PREDEFINED_FORMATS.do_nothing.value,
 };
 
+/**
+ * Default delay in milliseconds to wait for additional clicks.
+ * This should be kept in sync with the `DEFAULT_MULTI_CLICK_DELAY` in `background.js`.
+ * @type {number}
+ * @constant
+ */
+const DEFAULT_MULTI_CLICK_DELAY = 500;
+
+/**
+ * Default behavior of the toolbar button: 'clicks' or 'picker'.
+ * This should be kept in sync with the `DEFAULT_ACTION_BUTTON_MODE` in `background.js`.
+ * @type {string}
+ * @constant
+ */
+const DEFAULT_ACTION_BUTTON_MODE = 'clicks';
+
+/**
+ * Bounds of the multi-click delay: shorter is hard to double-click within,
+ * longer makes a single click feel unresponsive.
+ * @type {{min: number, max: number}}
+ * @constant
+ */
+const MULTI_CLICK_DELAY_RANGE = { min: 150, max: 2000 };
+
+/**
+ * Number of open tabs used for the multi-tab preview.
+ * @type {number}
+ * @constant
+ */
+const PREVIEW_TAB_COUNT = 3;
+
+/**
+ * Data the previews are rendered with: page data of open tabs and the URL
+ * cleaning and title preprocessing rules. Loaded once when the page opens.
+ * @type {{pages: PageData[], processing: ProcessingRules, isSample: boolean}}
+ */
+const previewData = {
+  pages: [],
+  processing: {
+    titleRules: [],
+    smartTitle: false,
+    urlCleaning: { settings: DEFAULT_URL_CLEANING_SETTINGS, ruleLists: [] },
+  },
+  isSample: true,
+};
+
+/**
+ * The format library, offered in every click slot's format list. It is
+ * edited on the format library page.
+ * @type {LibraryFormat[]}
+ */
+let formatLibrary = [];
+
 // Element selectors
 const clickTypes = ['single', 'double', 'triple', 'fourth', 'fifth'];
 const elements = {
@@ -63,6 +116,12 @@ const elements = {
   screenshotSavePathElement: /** @type {HTMLInputElement} */ (
     document.getElementById('screenshotSavePath')
   ),
+  multiClickDelayElement: /** @type {HTMLInputElement} */ (
+    document.getElementById('multiClickDelay')
+  ),
+  actionButtonModeElement: /** @type {HTMLSelectElement} */ (
+    document.getElementById('actionButtonMode')
+  ),
 };
 
 clickTypes.forEach((type) => {
@@ -76,6 +135,43 @@ clickTypes.forEach((type) => {
   elements[`${type}ClickFormatElement`] = /** @type {HTMLTextAreaElement} */ (
     document.getElementById(`${type}-click-format`)
   );
+
+  const formatSettingsElement = createFormatSettingsElement(type);
+  elements[`${type}ClickOutputLanguageElement`] =
+    /** @type {HTMLSelectElement} */ (
+      formatSettingsElement.querySelector('.output-language')
+    );
+  elements[`${type}ClickHtmlModeElement`] = /** @type {HTMLSelectElement} */ (
+    formatSettingsElement.querySelector('.html-mode')
+  );
+  elements[`${type}ClickHtmlFormatElement`] =
+    /** @type {HTMLTextAreaElement} */ (
+      formatSettingsElement.querySelector('.html-format')
+    );
+  elements[`${type}ClickPreviewElement`] = /** @type {HTMLElement} */ (
+    formatSettingsElement.querySelector('.format-preview')
+  );
+  elements[`${type}ClickOwnSettingsElement`] = /** @type {HTMLElement} */ (
+    formatSettingsElement.querySelector('.own-format-settings')
+  );
+  elements[`${type}ClickLibraryNoteElement`] = /** @type {HTMLElement} */ (
+    formatSettingsElement.querySelector('.library-format-note')
+  );
+  elements[`${type}ClickPrefixElement`] = /** @type {HTMLTextAreaElement} */ (
+    formatSettingsElement.querySelector('.list-prefix')
+  );
+  elements[`${type}ClickSeparatorElement`] = /** @type {HTMLInputElement} */ (
+    formatSettingsElement.querySelector('.list-separator')
+  );
+  elements[`${type}ClickSuffixElement`] = /** @type {HTMLTextAreaElement} */ (
+    formatSettingsElement.querySelector('.list-suffix')
+  );
+  elements[`${type}ClickOverridesSectionElement`] = /** @type {HTMLElement} */ (
+    formatSettingsElement.querySelector('.format-overrides-section')
+  );
+  elements[`${type}ClickOverridesElement`] = /** @type {HTMLElement} */ (
+    formatSettingsElement.querySelector('.format-overrides')
+  );
 });
 
 const optionsForm = /** @type {HTMLFormElement} */ (
@@ -93,6 +189,395 @@ const importBtn = /** @type {HTMLButtonElement} */ (
 const importFile = /** @type {HTMLInputElement} */ (
   document.getElementById('importFile')
 );
+const commandsContainer = /** @type {HTMLUListElement} */ (
+  document.getElementById('commandsContainer')
+);
+const changeShortcutsBtn = /** @type {HTMLButtonElement} */ (
+  document.getElementById('changeShortcutsBtn')
+);
+
+/**
+ * Labels of the click slots a format shortcut can use
+ * @type {Object<string, string>}
+ * @constant
+ */
+const CLICK_SLOT_LABELS = {
+  single: '1️⃣ Single click format',
+  double: '2️⃣ Double click format',
+  triple: '3️⃣ Triple click format',
+  fourth: '4️⃣ Fourth format',
+  fifth: '5️⃣ Fifth format',
+};
+
+/**
+ * Adds the per-format settings (output language, rich text, multi-tab
+ * layout and preview) below the format editor of a click type.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ * @returns {HTMLElement} The inserted settings element.
+ */
+function createFormatSettingsElement(type) {
+  const template = /** @type {HTMLTemplateElement} */ (
+    document.getElementById('format-settings-template')
+  );
+  const fragment = /** @type {DocumentFragment} */ (
+    template.content.cloneNode(true)
+  );
+  const formatSettingsElement = /** @type {HTMLElement} */ (
+    fragment.querySelector('.format-settings')
+  );
+
+  const languageSelect =
+    formatSettingsElement.querySelector('.output-language');
+  for (const key in OUTPUT_LANGUAGES) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = OUTPUT_LANGUAGES[key].name;
+    languageSelect.appendChild(option);
+  }
+
+  const htmlModeSelect = /** @type {HTMLSelectElement} */ (
+    formatSettingsElement.querySelector('.html-mode')
+  );
+  htmlModeSelect.addEventListener('change', () =>
+    updateHtmlFormatVisibility(type),
+  );
+
+  formatSettingsElement
+    .querySelector('.add-override-btn')
+    .addEventListener('click', () => {
+      const overrideElement = createOverrideElement(type);
+      elements[`${type}ClickOverridesElement`].appendChild(overrideElement);
+      updateOverrideCount(type);
+      overrideElement.querySelector('.override-url').focus();
+    });
+
+  document
+    .getElementById(`${type}-click-type`)
+    .parentElement.appendChild(formatSettingsElement);
+  return formatSettingsElement;
+}
+
+/**
+ * Creates the editor of one site override of a click type.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ * @param {FormatOverride} [override] - The override to show. Without one, an
+ *   empty override matching a Chrome match pattern is created.
+ * @returns {HTMLElement} The override element.
+ */
+function createOverrideElement(
+  type,
+  override = { url: '', matchType: 'match_pattern', template: '' },
+) {
+  const template = /** @type {HTMLTemplateElement} */ (
+    document.getElementById('format-override-template')
+  );
+  const fragment = /** @type {DocumentFragment} */ (
+    template.content.cloneNode(true)
+  );
+  const overrideElement = /** @type {HTMLElement} */ (
+    fragment.querySelector('.format-override')
+  );
+  const matchTypeSelect = /** @type {HTMLSelectElement} */ (
+    overrideElement.querySelector('.override-match-type')
+  );
+  const urlInput = /** @type {HTMLInputElement} */ (
+    overrideElement.querySelector('.override-url')
+  );
+
+  Object.entries(TITLE_RULE_MATCH_TYPES).forEach(([value, { name }]) => {
+    matchTypeSelect.add(new Option(name, value));
+  });
+  matchTypeSelect.value = override.matchType || 'prefix';
+  urlInput.value = override.url;
+  urlInput.placeholder =
+    TITLE_RULE_MATCH_TYPES[matchTypeSelect.value].placeholder;
+  overrideElement.querySelector('.override-template').value = override.template;
+
+  matchTypeSelect.addEventListener('change', () => {
+    urlInput.placeholder =
+      TITLE_RULE_MATCH_TYPES[matchTypeSelect.value].placeholder;
+  });
+  // Moving and removing don't fire input events, so they refresh the preview
+  overrideElement
+    .querySelector('.move-up-btn')
+    .addEventListener('click', () => {
+      overrideElement.previousElementSibling?.before(overrideElement);
+      updatePreview(type);
+    });
+  overrideElement
+    .querySelector('.move-down-btn')
+    .addEventListener('click', () => {
+      overrideElement.nextElementSibling?.after(overrideElement);
+      updatePreview(type);
+    });
+  overrideElement
+    .querySelector('.remove-override-btn')
+    .addEventListener('click', () => {
+      overrideElement.remove();
+      updateOverrideCount(type);
+      updatePreview(type);
+    });
+  return overrideElement;
+}
+
+/**
+ * Shows the site overrides of a click type in its editor.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ * @param {FormatOverride[]} overrides - The overrides, in order.
+ */
+function renderOverrides(type, overrides) {
+  const container = elements[`${type}ClickOverridesElement`];
+  container.innerHTML = '';
+  overrides.forEach((override) => {
+    container.appendChild(createOverrideElement(type, override));
+  });
+  updateOverrideCount(type);
+}
+
+/**
+ * Shows the number of site overrides of a click type next to their heading.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ */
+function updateOverrideCount(type) {
+  const count = elements[`${type}ClickOverridesElement`].children.length;
+  elements[`${type}ClickOverridesSectionElement`].querySelector(
+    '.override-count',
+  ).textContent = count ? `(${count})` : '';
+}
+
+/**
+ * Reads the site overrides of a click type from the form, skipping the ones
+ * without a pattern or a template.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ * @returns {FormatOverride[]} The overrides as they would be saved.
+ */
+function getOverridesFromForm(type) {
+  return [
+    ...elements[`${type}ClickOverridesElement`].querySelectorAll(
+      '.format-override',
+    ),
+  ]
+    .map((overrideElement) => ({
+      url: overrideElement.querySelector('.override-url').value.trim(),
+      matchType: overrideElement.querySelector('.override-match-type').value,
+      template: overrideElement
+        .querySelector('.override-template')
+        .value.trim(),
+    }))
+    .filter((override) => override.url && override.template);
+}
+
+/**
+ * Shows the HTML template textarea only when the rich text mode uses it.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ */
+function updateHtmlFormatVisibility(type) {
+  const isTemplate =
+    elements[`${type}ClickHtmlModeElement`].value === 'template';
+  elements[`${type}ClickHtmlFormatElement`].style.display = isTemplate
+    ? 'block'
+    : 'none';
+}
+
+/**
+ * Loads the open tabs of this window (other than this page) and the URL
+ * cleaning and title preprocessing rules used to render the previews.
+ */
+async function loadPreviewData() {
+  try {
+    const [currentTab, windowTabs, processing] = await Promise.all([
+      chrome.tabs.getCurrent(),
+      chrome.tabs.query({ currentWindow: true }),
+      loadProcessingRules(),
+    ]);
+    // Prefer the tabs the user has selected, then the rest of the window
+    const sampleTabs = windowTabs
+      .filter((tab) => tab.id !== currentTab?.id && /^https?:/.test(tab.url))
+      .sort((a, b) => Number(b.highlighted) - Number(a.highlighted))
+      .slice(0, PREVIEW_TAB_COUNT);
+
+    previewData.processing = processing;
+    previewData.isSample = sampleTabs.length === 0;
+    previewData.pages = await Promise.all(
+      (previewData.isSample ? [SAMPLE_PREVIEW_TAB] : sampleTabs).map((tab) =>
+        collectPageData(tab, processing.titleRules),
+      ),
+    );
+  } catch (error) {
+    console.error('Error loading preview data:', error);
+    previewData.isSample = true;
+    previewData.pages = [
+      {
+        tab: SAMPLE_PREVIEW_TAB,
+        quote: '',
+        quoteHtml: '',
+        quoteMarkdown: '',
+        textFragment: '',
+        anchor: '',
+        metadata: EMPTY_PAGE_METADATA,
+        titleSources: EMPTY_TITLE_SOURCES,
+      },
+    ];
+  }
+}
+
+/**
+ * Reads the format settings of a click type from the form.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ * @returns {FormatSettings} The format settings as they would be saved.
+ */
+function getFormatSettingsFromForm(type) {
+  const libraryFormat = findLibraryFormat(
+    formatLibrary,
+    elements[`${type}ClickTypeElement`].value,
+  );
+  if (libraryFormat) {
+    return {
+      ...getLibraryFormatSettings(libraryFormat, type),
+      overrides: getOverridesFromForm(type),
+    };
+  }
+  return {
+    clickType: type,
+    template: elements[`${type}ClickFormatElement`].value,
+    prefix: elements[`${type}ClickPrefixElement`].value,
+    separator: elements[`${type}ClickSeparatorElement`].value,
+    suffix: elements[`${type}ClickSuffixElement`].value,
+    outputLanguage: elements[`${type}ClickOutputLanguageElement`].value,
+    htmlMode: elements[`${type}ClickHtmlModeElement`].value,
+    htmlFormat: elements[`${type}ClickHtmlFormatElement`].value,
+    overrides: getOverridesFromForm(type),
+  };
+}
+
+/**
+ * Describes why a site override can't be used: its template opens URLs
+ * while its format copies, or the other way round.
+ * @param {FormatSettings} settings - The format settings.
+ * @returns {string} The validation message.
+ */
+function getOverrideActionMessage(settings) {
+  return isUrlFormat(settings.template)
+    ? 'This format opens URLs, so the override must be a URL too.'
+    : 'This format copies text, so the override must not be a URL.';
+}
+
+/**
+ * Finds the site overrides of a click type that open URLs while its format
+ * copies, or the other way round.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ * @returns {FormatOverride[]} The overrides that can't be used.
+ */
+function getInconsistentOverrides(type) {
+  const settings = getFormatSettingsFromForm(type);
+  if (
+    settings.template === 'do_nothing' ||
+    settings.template === '<screenshot>'
+  ) {
+    return [];
+  }
+  return settings.overrides.filter(
+    (override) => !isOverrideActionConsistent(settings, override),
+  );
+}
+
+/**
+ * Renders the preview of a click type's format with the same logic the
+ * extension uses when copying, and lists problems found in its templates.
+ * @param {string} type - The click type (e.g., 'single', 'double', 'triple').
+ */
+function updatePreview(type) {
+  const previewElement = elements[`${type}ClickPreviewElement`];
+  const sourceElement = previewElement.querySelector('.preview-source');
+  const problemsElement = previewElement.querySelector('.preview-problems');
+  const outputElement = previewElement.querySelector('.preview-output');
+  const multiElement = /** @type {HTMLElement} */ (
+    previewElement.querySelector('.preview-multi')
+  );
+  const htmlElement = /** @type {HTMLElement} */ (
+    previewElement.querySelector('.preview-html')
+  );
+
+  const settings = getFormatSettingsFromForm(type);
+  const { pages, processing } = previewData;
+  sourceElement.textContent = previewData.isSample
+    ? '(sample page)'
+    : `(${pages[0].tab.title})`;
+  problemsElement.innerHTML = '';
+  multiElement.style.display = 'none';
+  htmlElement.style.display = 'none';
+
+  if (settings.template === 'do_nothing') {
+    outputElement.textContent = 'Does nothing.';
+    return;
+  }
+  if (settings.template === '<screenshot>') {
+    outputElement.textContent = 'Copies a screenshot of the current tab.';
+    return;
+  }
+
+  const fields = [
+    ['', settings.template],
+    ['Header: ', settings.prefix],
+    ['Footer: ', settings.suffix],
+  ];
+  if (settings.htmlMode === 'template') {
+    fields.push(['HTML template: ', settings.htmlFormat]);
+  }
+  settings.overrides.forEach((override) => {
+    fields.push([`Override for ${override.url}: `, override.template]);
+  });
+  const problems = getInconsistentOverrides(type).map((override) => ({
+    label: `Override for ${override.url}: `,
+    problem: {
+      severity: 'error',
+      message: getOverrideActionMessage(settings),
+    },
+  }));
+  for (const [label, template] of fields) {
+    for (const problem of validateTemplate(template)) {
+      problems.push({ label, problem });
+    }
+  }
+  for (const { label, problem } of problems) {
+    const item = document.createElement('li');
+    item.textContent = `${problem.severity === 'error' ? '❌' : '⚠️'} ${label}${
+      problem.message
+    }`;
+    item.className =
+      problem.severity === 'error'
+        ? 'text-red-600 dark:text-red-400'
+        : 'text-amber-600 dark:text-amber-400';
+    problemsElement.appendChild(item);
+  }
+
+  const single = renderCopy(pages.slice(0, 1), settings, processing);
+  if (single.isUrlAction) {
+    outputElement.textContent = `Opens: ${single.urls[0]}`;
+    return;
+  }
+  outputElement.textContent = single.text;
+  if (single.html) {
+    htmlElement.style.display = 'block';
+    htmlElement.querySelector('.preview-html-output').textContent = single.html;
+  }
+
+  if (pages.length > 1) {
+    multiElement.style.display = 'block';
+    multiElement.querySelector(
+      '.preview-multi-label',
+    ).textContent = `With ${pages.length} tabs selected:`;
+    multiElement.querySelector('.preview-multi-output').textContent =
+      renderCopy(pages, settings, processing).text;
+  }
+}
+
+/**
+ * Re-renders the previews of all click types.
+ */
+function updateAllPreviews() {
+  clickTypes.forEach(updatePreview);
+}
 
 /**
  * Populates a select element with predefined format options.
@@ -108,6 +593,119 @@ function populateFormatOptions(selectElement) {
     option.textContent = PREDEFINED_FORMATS[key].name;
     selectElement.appendChild(option);
   }
+  if (formatLibrary.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Format library';
+    formatLibrary.forEach((format) => {
+      const option = document.createElement('option');
+      option.value = `${LIBRARY_FORMAT_TYPE_PREFIX}${format.id}`;
+      option.textContent = getLibraryFormatLabel(format);
+      group.appendChild(option);
+    });
+    selectElement.appendChild(group);
+  }
+}
+
+/**
+ * Populates the format list of a format shortcut: none, the click slots and
+ * the library formats.
+ * @param {HTMLSelectElement} selectElement - The select element to populate.
+ */
+function populateCommandFormatOptions(selectElement) {
+  selectElement.add(new Option('No format', ''));
+  const slotGroup = document.createElement('optgroup');
+  slotGroup.label = 'Click slots';
+  clickTypes.forEach((type) => {
+    slotGroup.appendChild(new Option(CLICK_SLOT_LABELS[type], type));
+  });
+  selectElement.appendChild(slotGroup);
+  if (formatLibrary.length > 0) {
+    const libraryGroup = document.createElement('optgroup');
+    libraryGroup.label = 'Format library';
+    formatLibrary.forEach((format) => {
+      libraryGroup.appendChild(
+        new Option(
+          getLibraryFormatLabel(format),
+          `${LIBRARY_FORMAT_TYPE_PREFIX}${format.id}`,
+        ),
+      );
+    });
+    selectElement.appendChild(libraryGroup);
+  }
+}
+
+/**
+ * Lists the format shortcuts declared in the manifest with their current keys
+ * and the format chosen for each.
+ * @param {Object<string, string>} commandFormats - The saved format of each
+ *   command, keyed by command name.
+ */
+async function renderCommands(commandFormats) {
+  const template = /** @type {HTMLTemplateElement} */ (
+    document.getElementById('command-template')
+  );
+  const commands = (await chrome.commands.getAll())
+    .filter((command) => command.name?.startsWith(FORMAT_COMMAND_PREFIX))
+    .sort(
+      (a, b) =>
+        parseInt(a.name.slice(FORMAT_COMMAND_PREFIX.length), 10) -
+        parseInt(b.name.slice(FORMAT_COMMAND_PREFIX.length), 10),
+    );
+
+  commandsContainer.innerHTML = '';
+  commands.forEach((command) => {
+    const fragment = /** @type {DocumentFragment} */ (
+      template.content.cloneNode(true)
+    );
+    const commandElement = /** @type {HTMLElement} */ (
+      fragment.querySelector('.command')
+    );
+    commandElement.dataset.command = command.name;
+    commandElement.querySelector('.command-shortcut').textContent =
+      command.shortcut || 'Not set';
+    const selectElement = /** @type {HTMLSelectElement} */ (
+      commandElement.querySelector('.command-format')
+    );
+    populateCommandFormatOptions(selectElement);
+    selectElement.value =
+      commandFormats[command.name] ??
+      DEFAULT_COMMAND_FORMATS[command.name] ??
+      '';
+    if (selectElement.selectedIndex < 0) {
+      // The shortcut used a library format that has since been deleted
+      selectElement.value = '';
+    }
+    commandsContainer.appendChild(commandElement);
+  });
+}
+
+/**
+ * Refreshes the keys shown for the format shortcuts, which the user may have
+ * changed at chrome://extensions/shortcuts in the meantime.
+ */
+async function updateCommandShortcuts() {
+  const commands = await chrome.commands.getAll();
+  commandsContainer.querySelectorAll('.command').forEach((commandElement) => {
+    const command = commands.find(
+      ({ name }) => name === commandElement.dataset.command,
+    );
+    commandElement.querySelector('.command-shortcut').textContent =
+      command?.shortcut || 'Not set';
+  });
+}
+
+/**
+ * Reads the format chosen for each format shortcut from the form.
+ * @returns {Object<string, string>} The format of each command, keyed by
+ *   command name.
+ */
+function getCommandFormatsFromForm() {
+  const commandFormats = {};
+  commandsContainer.querySelectorAll('.command').forEach((commandElement) => {
+    commandFormats[commandElement.dataset.command] =
+      commandElement.querySelector('.command-format').value;
+  });
+  return commandFormats;
 }
 
 /**
@@ -124,6 +722,22 @@ function updateTextareaVisibilityAndFormat(type) {
 
   const selectedType = typeElement.value;
 
+  // A library format brings its own output language and layout
+  const isLibraryFormat = selectedType.startsWith(LIBRARY_FORMAT_TYPE_PREFIX);
+  elements[`${type}ClickOwnSettingsElement`].style.display = isLibraryFormat
+    ? 'none'
+    : 'block';
+  elements[`${type}ClickLibraryNoteElement`].style.display = isLibraryFormat
+    ? 'block'
+    : 'none';
+  // Overrides replace the template, which these don't have
+  elements[`${type}ClickOverridesSectionElement`].style.display = [
+    'do_nothing',
+    'screenshot',
+  ].includes(selectedType)
+    ? 'none'
+    : 'block';
+
   if (selectedType === 'custom') {
     customFormatElement.style.display = 'block';
     // When custom is selected, the formatElement's value will be taken from customFormatElement on save.
@@ -171,19 +785,40 @@ function showStatusMessage(message, isError = false) {
   }, 3000);
 }
 
+/**
+ * Reloads the format library and rebuilds the click slots' format lists with
+ * it, so saved or imported values that use a library format can be selected.
+ * The format shortcut lists are rebuilt by `renderCommands`.
+ */
+async function reloadFormatLibrary() {
+  try {
+    formatLibrary = await loadFormatLibrary();
+  } catch (error) {
+    console.error('Error loading the format library:', error);
+  }
+  clickTypes.forEach((type) => {
+    populateFormatOptions(elements[`${type}ClickTypeElement`]);
+  });
+}
+
 /**
  * Loads saved formats from Chrome storage and populates the form
  */
 async function loadSavedFormats() {
   try {
+    await reloadFormatLibrary();
     const syncItemsToGet = {
       autoSaveScreenshot: false, // Default value
+      multiClickDelay: DEFAULT_MULTI_CLICK_DELAY,
+      actionButtonMode: DEFAULT_ACTION_BUTTON_MODE,
+      commandFormats: DEFAULT_COMMAND_FORMATS,
     };
     clickTypes.forEach((type) => {
       syncItemsToGet[`${type}ClickFormatType`] =
         DEFAULT_FORMAT_TYPES[`${type}ClickFormatType`];
       syncItemsToGet[`${type}ClickFormat`] =
         DEFAULT_FORMAT_VALUES[`${type}ClickFormat`];
+      Object.assign(syncItemsToGet, getFormatSettingsDefaults(type));
     });
 
     const localItemsToGet = {
@@ -200,6 +835,11 @@ async function loadSavedFormats() {
       toggleScreenshotPathVisibility(); // Initial visibility check
     }
 
+    elements.multiClickDelayElement.value =
+      syncResult.multiClickDelay.toString();
+    elements.actionButtonModeElement.value = syncResult.actionButtonMode;
+    await renderCommands(syncResult.commandFormats);
+
     // Load screenshotSavePath setting
     if (elements.screenshotSavePathElement) {
       elements.screenshotSavePathElement.value = localResult.screenshotSavePath;
@@ -214,6 +854,10 @@ async function loadSavedFormats() {
       const savedFormat = syncResult[`${type}ClickFormat`];
 
       typeElement.value = savedType;
+      if (typeElement.value !== savedType) {
+        // The slot used a library format that has since been deleted
+        typeElement.value = 'do_nothing';
+      }
       formatElement.value = savedFormat; // This is the actual format string
 
       if (savedType === 'custom') {
@@ -223,8 +867,23 @@ async function loadSavedFormats() {
         // customFormatElement.value = PREDEFINED_FORMATS[savedType]?.value || '';
         customFormatElement.value = ''; // Prefer to keep it clean
       }
+      elements[`${type}ClickPrefixElement`].value =
+        syncResult[`${type}ClickPrefix`];
+      elements[`${type}ClickSeparatorElement`].value =
+        syncResult[`${type}ClickSeparator`];
+      elements[`${type}ClickSuffixElement`].value =
+        syncResult[`${type}ClickSuffix`];
+      elements[`${type}ClickOutputLanguageElement`].value =
+        syncResult[`${type}ClickOutputLanguage`];
+      elements[`${type}ClickHtmlModeElement`].value =
+        syncResult[`${type}ClickHtmlMode`];
+      elements[`${type}ClickHtmlFormatElement`].value =
+        syncResult[`${type}ClickHtmlFormat`];
+      renderOverrides(type, syncResult[`${type}ClickOverrides`]);
+      updateHtmlFormatVisibility(type);
       updateTextareaVisibilityAndFormat(type); // Ensure correct visibility
     });
+    updateAllPreviews();
   } catch (error) {
     console.error('Error loading saved formats:', error);
     showStatusMessage('Error loading saved settings. Using defaults.', true);
@@ -247,10 +906,40 @@ function toggleScreenshotPathVisibility() {
   }
 }
 
+/**
+ * Reads the multi-click delay from the form, within its allowed range.
+ * @returns {number} The delay in milliseconds.
+ */
+function getMultiClickDelayFromForm() {
+  const delay = Number.parseInt(elements.multiClickDelayElement.value, 10);
+  if (Number.isNaN(delay)) {
+    return DEFAULT_MULTI_CLICK_DELAY;
+  }
+  return Math.min(
+    Math.max(delay, MULTI_CLICK_DELAY_RANGE.min),
+    MULTI_CLICK_DELAY_RANGE.max,
+  );
+}
+
 async function saveFormats() {
+  const inconsistentType = clickTypes.find(
+    (type) => getInconsistentOverrides(type).length > 0,
+  );
+  if (inconsistentType) {
+    showStatusMessage(
+      `Not saved: fix the site overrides of the ${inconsistentType}-click format, as its preview shows.`,
+      true,
+    );
+    return;
+  }
   try {
+    const multiClickDelay = getMultiClickDelayFromForm();
+    elements.multiClickDelayElement.value = multiClickDelay.toString();
     const syncDataToSave = {
       autoSaveScreenshot: elements.autoSaveScreenshotElement.checked,
+      multiClickDelay,
+      actionButtonMode: elements.actionButtonModeElement.value,
+      commandFormats: getCommandFormatsFromForm(),
     };
     const localDataToSave = {
       screenshotSavePath: elements.screenshotSavePathElement.value.trim(),
@@ -273,6 +962,21 @@ async function saveFormats() {
       // Update the hidden format element as well, though it's mostly for direct use by other parts if any.
       elements[`${type}ClickFormatElement`].value =
         syncDataToSave[`${type}ClickFormat`];
+
+      // Whitespace is significant in the layout, so these are saved as typed
+      syncDataToSave[`${type}ClickPrefix`] =
+        elements[`${type}ClickPrefixElement`].value;
+      syncDataToSave[`${type}ClickSeparator`] =
+        elements[`${type}ClickSeparatorElement`].value;
+      syncDataToSave[`${type}ClickSuffix`] =
+        elements[`${type}ClickSuffixElement`].value;
+      syncDataToSave[`${type}ClickOutputLanguage`] =
+        elements[`${type}ClickOutputLanguageElement`].value;
+      syncDataToSave[`${type}ClickHtmlMode`] =
+        elements[`${type}ClickHtmlModeElement`].value;
+      syncDataToSave[`${type}ClickHtmlFormat`] =
+        elements[`${type}ClickHtmlFormatElement`].value.trim();
+      syncDataToSave[`${type}ClickOverrides`] = getOverridesFromForm(type);
     });
 
     await chrome.storage.sync.set(syncDataToSave);
@@ -298,6 +1002,8 @@ async function resetToDefaults(shouldSave = true) {
     elements.screenshotSavePathElement.value = '';
   }
   toggleScreenshotPathVisibility(); // Hide the path input
+  elements.multiClickDelayElement.value = DEFAULT_MULTI_CLICK_DELAY.toString();
+  elements.actionButtonModeElement.value = DEFAULT_ACTION_BUTTON_MODE;
 
   clickTypes.forEach((type) => {
     const typeElement = elements[`${type}ClickTypeElement`];
@@ -308,9 +1014,25 @@ async function resetToDefaults(shouldSave = true) {
     typeElement.value = defaultType;
     customFormatElement.value = ''; // Clear custom textarea
     formatElement.value = DEFAULT_FORMAT_VALUES[`${type}ClickFormat`]; // Set to default value
+    elements[`${type}ClickPrefixElement`].value = DEFAULT_LIST_LAYOUT.prefix;
+    elements[`${type}ClickSeparatorElement`].value =
+      DEFAULT_LIST_LAYOUT.separator;
+    elements[`${type}ClickSuffixElement`].value = DEFAULT_LIST_LAYOUT.suffix;
+    elements[`${type}ClickOutputLanguageElement`].value =
+      DEFAULT_OUTPUT_LANGUAGE;
+    elements[`${type}ClickHtmlModeElement`].value = DEFAULT_HTML_SETTINGS.mode;
+    elements[`${type}ClickHtmlFormatElement`].value =
+      DEFAULT_HTML_SETTINGS.format;
+    renderOverrides(type, []);
+    updateHtmlFormatVisibility(type);
 
     updateTextareaVisibilityAndFormat(type);
   });
+  commandsContainer.querySelectorAll('.command').forEach((commandElement) => {
+    commandElement.querySelector('.command-format').value =
+      DEFAULT_COMMAND_FORMATS[commandElement.dataset.command] ?? '';
+  });
+  updateAllPreviews();
 
   if (shouldSave) {
     await saveFormats(); // This will also show a status message
@@ -380,10 +1102,9 @@ function setupClickableCodeHandlers() {
  * Initializes the options page when the DOM is loaded
  */
 document.addEventListener('DOMContentLoaded', async () => {
-  // Populate dropdowns
+  // The dropdowns are populated by loadSavedFormats, with the format library
   clickTypes.forEach((type) => {
     const typeElement = elements[`${type}ClickTypeElement`];
-    populateFormatOptions(typeElement);
 
     // Add event listeners for select changes
     typeElement.addEventListener('change', () => {
@@ -402,8 +1123,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         elements[`${type}ClickFormatElement`].value = customFormatElement.value;
       }
     });
+
+    // Any edit within this format's section refreshes its preview. These run
+    // after the handlers above, which keep the hidden format textarea in sync.
+    const formatSection = typeElement.parentElement;
+    formatSection.addEventListener('input', () => updatePreview(type));
+    formatSection.addEventListener('change', () => updatePreview(type));
   });
 
+  // Render previews against the tabs open in this window
+  await loadPreviewData();
+
   // Load saved formats
   await loadSavedFormats(); // This will also call updateTextareaVisibilityAndFormat for initial setup
 
@@ -455,6 +1185,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     importFile.addEventListener('change', importConfigAndReload); // Changed to new import function
   }
 
+  // Shortcuts can only be changed on Chrome's own page, which links can't open
+  changeShortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  window.addEventListener('focus', updateCommandShortcuts);
+
   // Detect OS and display appropriate shortcut key
   const shortcutKeySpan = document.getElementById('shortcut-key');
   if (shortcutKeySpan) {
@@ -475,6 +1211,10 @@ async function exportConfig() {
     // Fetch data from both sync and local storage
     const syncData = await chrome.storage.sync.get({
       titlePreprocessingRules: [],
+      enabledRulePacks: [],
+      smartTitle: false,
+      formatLibrary: [],
+      urlCleaning: DEFAULT_URL_CLEANING_SETTINGS,
     });
     const localData = await chrome.storage.local.get({
       screenshotSavePath: '',
@@ -484,22 +1224,29 @@ async function exportConfig() {
       version: 2, // Version number for the config format
       autoSaveScreenshot: elements.autoSaveScreenshotElement.checked,
       screenshotSavePath: localData.screenshotSavePath, // Use stored value
+      multiClickDelay: getMultiClickDelayFromForm(),
+      actionButtonMode: elements.actionButtonModeElement.value,
+      commandFormats: getCommandFormatsFromForm(),
       titlePreprocessingRules: syncData.titlePreprocessingRules,
-      formats: {
-        single: {
-          type: elements.singleClickTypeElement.value,
-          format: elements.singleClickFormatElement.value,
-        },
-        double: {
-          type: elements.doubleClickTypeElement.value,
-          format: elements.doubleClickFormatElement.value,
-        },
-        triple: {
-          type: elements.tripleClickTypeElement.value,
-          format: elements.tripleClickFormatElement.value,
-        },
-      },
+      enabledRulePacks: syncData.enabledRulePacks,
+      smartTitle: syncData.smartTitle,
+      formatLibrary: syncData.formatLibrary,
+      urlCleaning: syncData.urlCleaning,
+      formats: {},
     };
+    clickTypes.forEach((type) => {
+      config.formats[type] = {
+        type: elements[`${type}ClickTypeElement`].value,
+        format: elements[`${type}ClickFormatElement`].value,
+        prefix: elements[`${type}ClickPrefixElement`].value,
+        separator: elements[`${type}ClickSeparatorElement`].value,
+        suffix: elements[`${type}ClickSuffixElement`].value,
+        outputLanguage: elements[`${type}ClickOutputLanguageElement`].value,
+        htmlMode: elements[`${type}ClickHtmlModeElement`].value,
+        htmlFormat: elements[`${type}ClickHtmlFormatElement`].value,
+        overrides: getOverridesFromForm(type),
+      };
+    });
 
     const jsonString = JSON.stringify(config, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
@@ -596,11 +1343,37 @@ async function importV2Config(config) {
   if (typeof config.screenshotSavePath === 'string') {
     localDataToSave.screenshotSavePath = config.screenshotSavePath;
   }
+  if (typeof config.multiClickDelay === 'number') {
+    syncDataToSave.multiClickDelay = Math.min(
+      Math.max(config.multiClickDelay, MULTI_CLICK_DELAY_RANGE.min),
+      MULTI_CLICK_DELAY_RANGE.max,
+    );
+  }
+  if (['clicks', 'picker'].includes(config.actionButtonMode)) {
+    syncDataToSave.actionButtonMode = config.actionButtonMode;
+  }
 
   // Import title preprocessing rules
   if (Array.isArray(config.titlePreprocessingRules)) {
     syncDataToSave.titlePreprocessingRules = config.titlePreprocessingRules;
   }
+  if (Array.isArray(config.enabledRulePacks)) {
+    syncDataToSave.enabledRulePacks = config.enabledRulePacks;
+  }
+  if (typeof config.smartTitle === 'boolean') {
+    syncDataToSave.smartTitle = config.smartTitle;
+  }
+  if (Array.isArray(config.formatLibrary)) {
+    syncDataToSave.formatLibrary = config.formatLibrary;
+  }
+  if (config.commandFormats && typeof config.commandFormats === 'object') {
+    syncDataToSave.commandFormats = config.commandFormats;
+  }
+
+  // Import URL cleaning settings (added later, so older exports may not have them)
+  if (config.urlCleaning && typeof config.urlCleaning === 'object') {
+    syncDataToSave.urlCleaning = config.urlCleaning;
+  }
 
   // Import click formats
   if (config.formats && typeof config.formats === 'object') {
@@ -609,6 +1382,41 @@ async function importV2Config(config) {
       if (formatConfig && typeof formatConfig.type === 'string' && typeof formatConfig.format === 'string') {
         syncDataToSave[`${type}ClickFormatType`] = formatConfig.type;
         syncDataToSave[`${type}ClickFormat`] = formatConfig.format;
+
+        // Per-format settings were added later, so older exports may not have them
+        if (typeof formatConfig.prefix === 'string') {
+          syncDataToSave[`${type}ClickPrefix`] = formatConfig.prefix;
+        }
+        if (typeof formatConfig.separator === 'string') {
+          syncDataToSave[`${type}ClickSeparator`] = formatConfig.separator;
+        }
+        if (typeof formatConfig.suffix === 'string') {
+          syncDataToSave[`${type}ClickSuffix`] = formatConfig.suffix;
+        }
+        if (OUTPUT_LANGUAGES[formatConfig.outputLanguage]) {
+          syncDataToSave[`${type}ClickOutputLanguage`] =
+            formatConfig.outputLanguage;
+        }
+        if (['none', 'markdown', 'template'].includes(formatConfig.htmlMode)) {
+          syncDataToSave[`${type}ClickHtmlMode`] = formatConfig.htmlMode;
+        }
+        if (typeof formatConfig.htmlFormat === 'string') {
+          syncDataToSave[`${type}ClickHtmlFormat`] = formatConfig.htmlFormat;
+        }
+        if (Array.isArray(formatConfig.overrides)) {
+          syncDataToSave[`${type}ClickOverrides`] = formatConfig.overrides
+            .filter(
+              (override) =>
+                typeof override?.url === 'string' &&
+                typeof override.template === 'string' &&
+                TITLE_RULE_MATCH_TYPES[override.matchType],
+            )
+            .map(({ url, matchType, template }) => ({
+              url,
+              matchType,
+              template,
+            }));
+        }
       }
     });
   }
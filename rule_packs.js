@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Built-in rule packs: curated title preprocessing rules and URL
+ * cleaning site rules for popular sites, which users switch on one by one.
+ * Only the ids of the enabled packs are stored (`enabledRulePacks` in sync
+ * storage), so extension updates can improve the packs without touching the
+ * user's own rules. Loaded before copy_formatter.js wherever it is loaded.
+ */
+
+/**
+ * A built-in rule pack.
+ * @typedef {Object} RulePack
+ * @property {string} id - Stable identifier stored in `enabledRulePacks`.
+ * @property {string} name - The name shown to the user.
+ * @property {string} description - What the pack does, shown to the user.
+ * @property {TitleRule[]} titleRules - Title preprocessing rules.
+ * @property {DomainCleaningRule[]} urlRules - URL cleaning site rules.
+ */
+
+/**
+ * The built-in rule packs, in the order they are shown.
+ * @type {RulePack[]}
+ * @constant
+ */
+const RULE_PACKS = [
+  {
+    id: 'unread_counts',
+    name: 'Unread counts',
+    description: 'Removes counters like "(3) " from the start of any title.',
+    titleRules: [
+      {
+        name: 'Unread counts',
+        url: '<all_urls>',
+        matchType: 'match_pattern',
+        actions: [{ type: 'regex_remove', value1: '^\\(\\d+\\+?\\)\\s*' }],
+      },
+    ],
+    urlRules: [],
+  },
+  {
+    id: 'youtube',
+    name: 'YouTube',
+    description:
+      'Removes " - YouTube" from titles and the si and feature share parameters from links, keeping timestamps.',
+    titleRules: [
+      {
+        name: 'YouTube',
+        url: '*://*.youtube.com/*',
+        matchType: 'match_pattern',
+        actions: [{ type: 'regex_remove', value1: ' - YouTube$' }],
+      },
+    ],
+    urlRules: [
+      { domain: 'youtube.com', remove: ['si', 'feature', 'pp'], keep: ['t'] },
+      { domain: 'youtu.be', remove: ['si', 'feature'], keep: ['t'] },
+    ],
+  },
+  {
+    id: 'github',
+    name: 'GitHub',
+    description: 'Removes " · GitHub" from titles.',
+    titleRules: [
+      {
+        name: 'GitHub',
+        url: 'github.com',
+        matchType: 'host',
+        actions: [{ type: 'regex_remove', value1: ' · GitHub$' }],
+      },
+    ],
+    urlRules: [],
+  },
+  {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    description:
+      'Removes " | LinkedIn" from titles and tracking parameters from links.',
+    titleRules: [
+      {
+        name: 'LinkedIn',
+        url: '*://*.linkedin.com/*',
+        matchType: 'match_pattern',
+        actions: [{ type: 'regex_remove', value1: ' \\| LinkedIn$' }],
+      },
+    ],
+    urlRules: [
+      {
+        domain: 'linkedin.com',
+        remove: [
+          'trk*',
+          'trackingId',
+          'lipi',
+          'refId',
+          'midToken',
+          'midSig',
+          'eid',
+          'otpToken',
+        ],
+        keep: [],
+      },
+    ],
+  },
+  {
+    id: 'x',
+    name: 'X (Twitter)',
+    description:
+      'Removes " / X" from titles and the share parameters from links.',
+    titleRules: [
+      {
+        name: 'X (Twitter)',
+        url: '^https://(www\\.)?(x|twitter)\\.com/',
+        matchType: 'regex',
+        actions: [{ type: 'regex_remove', value1: ' / (X|Twitter)$' }],
+      },
+    ],
+    urlRules: [
+      { domain: 'x.com', remove: ['s', 't'], keep: [] },
+      { domain: 'twitter.com', remove: ['s', 't'], keep: [] },
+    ],
+  },
+  {
+    id: 'jira',
+    name: 'Jira',
+    description:
+      'Turns "[PROJ-123] Fix login - Jira" into "PROJ-123 Fix login" on Atlassian Cloud.',
+    titleRules: [
+      {
+        name: 'Jira',
+        url: '*://*.atlassian.net/*',
+        matchType: 'match_pattern',
+        actions: [
+          { type: 'regex_remove', value1: ' - Jira$' },
+          {
+            type: 'regex_replace',
+            value1: '^\\[([A-Z][A-Z0-9_]*-\\d+)\\]\\s*',
+            value2: '$1 ',
+          },
+        ],
+      },
+    ],
+    urlRules: [],
+  },
+  {
+    id: 'confluence',
+    name: 'Confluence',
+    description:
+      'Turns "Page - Space - Confluence" into "Page" on Atlassian Cloud.',
+    titleRules: [
+      {
+        name: 'Confluence',
+        url: '*://*.atlassian.net/wiki/*',
+        matchType: 'match_pattern',
+        actions: [
+          {
+            type: 'regex_replace',
+            value1: '^(.*) - [^-]* - Confluence$',
+            value2: '$1',
+          },
+          { type: 'regex_remove', value1: ' - Confluence$' },
+        ],
+      },
+    ],
+    urlRules: [],
+  },
+  {
+    id: 'amazon',
+    name: 'Amazon',
+    description:
+      'Removes the "Amazon.com: " prefix from titles and the search and referral parameters from links.',
+    titleRules: [
+      {
+        name: 'Amazon',
+        url: '^https://(www\\.|smile\\.)?amazon\\.',
+        matchType: 'regex',
+        actions: [{ type: 'regex_remove', value1: '^Amazon\\.[a-z.]+ ?: ' }],
+      },
+    ],
+    // `*` matches a single label, so country domains under a second-level
+    // suffix (amazon.co.uk, amazon.com.au) need their own rule
+    urlRules: ['amazon.*', 'amazon.co.*', 'amazon.com.*'].map((domain) => ({
+      domain,
+      remove: [
+        'ref',
+        'ref_',
+        'pf_rd_*',
+        'pd_rd_*',
+        'qid',
+        'sr',
+        'crid',
+        'sprefix',
+        'keywords',
+        'content-id',
+        '_encoding',
+        'dib',
+        'dib_tag',
+      ],
+      keep: [],
+    })),
+  },
+];
+
+/**
+ * Collects the rules of the enabled rule packs.
+ * @param {string[]} enabledIds - The ids of the enabled packs.
+ * @returns {{titleRules: TitleRule[], urlRules: DomainCleaningRule[]}} The
+ *   rules, in pack order.
+ */
+function getRulePackRules(enabledIds) {
+  const packs = RULE_PACKS.filter((pack) => enabledIds.includes(pack.id));
+  return {
+    titleRules: packs.flatMap((pack) => pack.titleRules),
+    urlRules: packs.flatMap((pack) => pack.urlRules),
+  };
+}
@@ -1,11 +1,29 @@
+// Action types whose first value is a regular expression
+const REGEX_ACTION_TYPES = ['regex_remove', 'regex_replace', 'extract'];
+
+// Click slots a rule can be limited to
+const CLICK_SLOT_NAMES = {
+    single: 'Single click',
+    double: 'Double click',
+    triple: 'Triple click',
+    fourth: '4 clicks',
+    fifth: '5 clicks',
+};
+
 document.addEventListener('DOMContentLoaded', () => {
+    const smartTitleCheckbox = document.getElementById('smart-title');
+    const rulePacksContainer = document.getElementById('rule-packs-container');
     const rulesContainer = document.getElementById('rules-container');
     const addRuleBtn = document.getElementById('add-rule-btn');
+    const testRulesBtn = document.getElementById('test-rules-btn');
     const saveRulesBtn = document.getElementById('save-rules-btn');
+    const rulePackTemplate = document.getElementById('rule-pack-template');
     const ruleTemplate = document.getElementById('rule-template');
     const actionTemplate = document.getElementById('action-template');
 
     // Load existing rules from storage
+    loadSmartTitle();
+    loadRulePacks();
     loadRules();
 
     addRuleBtn.addEventListener('click', () => {
@@ -17,16 +35,147 @@ document.addEventListener('DOMContentLoaded', () => {
         saveRules();
     });
 
-    function createRuleElement(ruleData = { url: '', actions: [] }) {
+    smartTitleCheckbox.addEventListener('change', async () => {
+        try {
+            await chrome.storage.sync.set({ smartTitle: smartTitleCheckbox.checked });
+        } catch (error) {
+            alert(`Could not save smart titles: ${error.message}`);
+        }
+    });
+
+    testRulesBtn.addEventListener('click', () => {
+        testRulesAgainstOpenTabs();
+    });
+
+    // Drag rules by their handle to reorder them
+    let draggedRule = null;
+    rulesContainer.addEventListener('dragover', (event) => {
+        if (!draggedRule) {
+            return;
+        }
+        event.preventDefault();
+        const nextRule = [...rulesContainer.querySelectorAll('.rule')].find(ruleElement => {
+            const box = ruleElement.getBoundingClientRect();
+            return ruleElement !== draggedRule && event.clientY < box.top + box.height / 2;
+        });
+        rulesContainer.insertBefore(draggedRule, nextRule || null);
+    });
+
+    function createCheckbox(container, value, label, checked) {
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.className = 'flex items-center gap-1 text-gray-700 dark:text-slate-300';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = checked;
+        checkbox.className = 'h-4 w-4 text-blue-600 border-gray-300 dark:border-slate-600 rounded focus:ring-blue-500';
+        checkboxLabel.append(checkbox, label);
+        container.appendChild(checkboxLabel);
+    }
+
+    function createRuleElement(ruleData = { name: '', enabled: true, url: '', matchType: 'prefix', actions: [] }) {
         const ruleFragment = ruleTemplate.content.cloneNode(true);
         const ruleElement = ruleFragment.querySelector('.rule');
+        const matchTypeSelect = ruleElement.querySelector('.rule-match-type');
         const urlInput = ruleElement.querySelector('.rule-url');
+        const urlError = ruleElement.querySelector('.rule-url-error');
         const actionsContainer = ruleElement.querySelector('.actions-container');
         const addActionBtn = ruleElement.querySelector('.add-action-btn');
         const removeRuleBtn = ruleElement.querySelector('.remove-rule-btn');
+        const dragHandle = ruleElement.querySelector('.drag-handle');
+        const titleSourceSelect = ruleElement.querySelector('.rule-title-source');
+        const titleSelectorInput = ruleElement.querySelector('.rule-title-selector');
+        const selectorError = ruleElement.querySelector('.rule-selector-error');
+        const slotsContainer = ruleElement.querySelector('.rule-slots');
+        const languagesContainer = ruleElement.querySelector('.rule-output-languages');
+
+        ruleElement.querySelector('.rule-name').value = ruleData.name || '';
+        ruleElement.querySelector('.rule-enabled').checked = ruleData.enabled !== false;
+        ruleElement.querySelector('.rule-stop').checked = !!ruleData.stop;
+        Object.entries(CLICK_SLOT_NAMES).forEach(([slot, name]) => {
+            createCheckbox(slotsContainer, slot, name, (ruleData.slots || []).includes(slot));
+        });
+        Object.entries(OUTPUT_LANGUAGES).forEach(([language, { name }]) => {
+            createCheckbox(languagesContainer, language, name, (ruleData.outputLanguages || []).includes(language));
+        });
+
+        // Only the handle starts a drag, so text in the inputs can still be selected
+        dragHandle.addEventListener('mousedown', () => {
+            ruleElement.draggable = true;
+            // A press that doesn't become a drag gets no dragend, wherever it is released
+            document.addEventListener('mouseup', () => {
+                ruleElement.draggable = false;
+            }, { once: true });
+        });
+        ruleElement.addEventListener('dragstart', (event) => {
+            draggedRule = ruleElement;
+            event.dataTransfer.effectAllowed = 'move';
+            ruleElement.classList.add('opacity-50');
+        });
+        ruleElement.addEventListener('dragend', () => {
+            draggedRule = null;
+            ruleElement.draggable = false;
+            ruleElement.classList.remove('opacity-50');
+        });
 
+        Object.entries(TITLE_RULE_MATCH_TYPES).forEach(([value, { name }]) => {
+            matchTypeSelect.add(new Option(name, value));
+        });
+        matchTypeSelect.value = ruleData.matchType || 'prefix';
         urlInput.value = ruleData.url;
 
+        // Shows why a regex or match pattern is invalid while it's being typed
+        function validateUrlPattern() {
+            const matchType = matchTypeSelect.value;
+            let error = '';
+            if (matchType === 'regex') {
+                try {
+                    new RegExp(urlInput.value);
+                } catch (e) {
+                    error = e.message;
+                }
+            } else if (matchType === 'match_pattern' && urlInput.value
+                && matchPatternToRegExpSource(urlInput.value.trim()) === null) {
+                error = 'Use the form scheme://host/path, e.g. *://*.example.com/*';
+            }
+            urlInput.placeholder = TITLE_RULE_MATCH_TYPES[matchType].placeholder;
+            urlError.textContent = error;
+            urlError.style.display = error ? 'block' : 'none';
+            urlInput.classList.toggle('border-red-500', error !== '');
+            ruleElement.dataset.invalid = error ? 'true' : '';
+        }
+
+        validateUrlPattern();
+        matchTypeSelect.addEventListener('change', validateUrlPattern);
+        urlInput.addEventListener('input', validateUrlPattern);
+
+        Object.entries(TITLE_SOURCES).forEach(([value, name]) => {
+            titleSourceSelect.add(new Option(name, value));
+        });
+        titleSourceSelect.value = ruleData.titleSource || 'document';
+        titleSelectorInput.value = ruleData.titleSelector || '';
+
+        function updateTitleSelector() {
+            const isSelector = titleSourceSelect.value === 'selector';
+            let error = '';
+            if (isSelector) {
+                try {
+                    document.createDocumentFragment().querySelector(titleSelectorInput.value);
+                } catch (e) {
+                    error = 'This is not a valid CSS selector.';
+                }
+            }
+            titleSelectorInput.style.display = isSelector ? 'block' : 'none';
+            selectorError.textContent = error;
+            selectorError.style.display = error ? 'block' : 'none';
+            titleSelectorInput.classList.toggle('border-red-500', error !== '');
+            titleSelectorInput.dataset.invalid = error ? 'true' : '';
+        }
+
+        updateTitleSelector();
+        titleSourceSelect.addEventListener('change', updateTitleSelector);
+        titleSelectorInput.addEventListener('input', updateTitleSelector);
+
         ruleData.actions.forEach(actionData => {
             const actionElement = createActionElement(actionData);
             actionsContainer.appendChild(actionElement);
@@ -44,28 +193,62 @@ document.addEventListener('DOMContentLoaded', () => {
         return ruleElement;
     }
 
-    function createActionElement(actionData = { type: 'add_prefix', value1: '', value2: '' }) {
+    function createActionElement(actionData = { type: 'add_prefix', value1: '', value2: '', flags: '' }) {
         const actionFragment = actionTemplate.content.cloneNode(true);
         const actionElement = actionFragment.querySelector('.action');
         const typeSelect = actionElement.querySelector('.action-type');
         const value1Input = actionElement.querySelector('.action-value-1');
         const value2Input = actionElement.querySelector('.action-value-2');
+        const flagsInput = actionElement.querySelector('.action-flags');
+        const caseSelect = actionElement.querySelector('.action-case');
+        const errorMessage = actionElement.querySelector('.action-error');
         const removeActionBtn = actionElement.querySelector('.remove-action-btn');
 
         typeSelect.value = actionData.type;
         value1Input.value = actionData.value1;
-        value2Input.value = actionData.value2;
+        value2Input.value = actionData.value2 || '';
+        flagsInput.value = actionData.flags || '';
+        if (actionData.type === 'change_case') {
+            caseSelect.value = actionData.value1;
+        }
+
+        function updateInputs() {
+            const type = typeSelect.value;
+            const isRegex = REGEX_ACTION_TYPES.includes(type);
+            const hasValue1 = !['trim', 'collapse_whitespace', 'change_case'].includes(type);
+            value1Input.style.display = hasValue1 ? 'block' : 'none';
+            value1Input.placeholder = isRegex ? 'Pattern, e.g. ^\\(\\d+\\)\\s*' : 'Value';
+            value2Input.style.display = type === 'replace' || type === 'regex_replace' ? 'block' : 'none';
+            value2Input.placeholder = type === 'regex_replace' ? 'Replacement ($1 for a group)' : 'New Value';
+            flagsInput.style.display = isRegex ? 'block' : 'none';
+            caseSelect.style.display = type === 'change_case' ? 'block' : 'none';
+            validatePattern();
+        }
 
-        function toggleValue2Input() {
-            if (typeSelect.value === 'replace') {
-                value2Input.style.display = 'block';
-            } else {
-                value2Input.style.display = 'none';
+        // Shows why a regular expression is invalid while it's being typed
+        function validatePattern() {
+            let error = '';
+            if (REGEX_ACTION_TYPES.includes(typeSelect.value)) {
+                if (!value1Input.value) {
+                    error = 'Enter a pattern.';
+                } else {
+                    try {
+                        new RegExp(value1Input.value, flagsInput.value);
+                    } catch (e) {
+                        error = e.message;
+                    }
+                }
             }
+            errorMessage.textContent = error;
+            errorMessage.style.display = error ? 'block' : 'none';
+            value1Input.classList.toggle('border-red-500', error !== '');
+            actionElement.dataset.invalid = error ? 'true' : '';
         }
 
-        toggleValue2Input();
-        typeSelect.addEventListener('change', toggleValue2Input);
+        updateInputs();
+        typeSelect.addEventListener('change', updateInputs);
+        value1Input.addEventListener('input', validatePattern);
+        flagsInput.addEventListener('input', validatePattern);
 
         removeActionBtn.addEventListener('click', () => {
             actionElement.remove();
@@ -74,6 +257,39 @@ document.addEventListener('DOMContentLoaded', () => {
         return actionElement;
     }
 
+    async function loadSmartTitle() {
+        const { smartTitle } = await chrome.storage.sync.get({ smartTitle: false });
+        smartTitleCheckbox.checked = smartTitle;
+    }
+
+    // Packs are stored as the list of enabled pack ids, so that their rules can change
+    // with extension updates without touching the user's own rules
+    async function loadRulePacks() {
+        const { enabledRulePacks } = await chrome.storage.sync.get({ enabledRulePacks: [] });
+        RULE_PACKS.forEach(pack => {
+            const packElement = rulePackTemplate.content.cloneNode(true);
+            const checkbox = packElement.querySelector('.rule-pack-enabled');
+            checkbox.value = pack.id;
+            checkbox.checked = enabledRulePacks.includes(pack.id);
+            checkbox.addEventListener('change', saveRulePacks);
+            packElement.querySelector('.rule-pack-name').textContent = pack.name;
+            packElement.querySelector('.rule-pack-description').textContent = pack.description;
+            rulePacksContainer.appendChild(packElement);
+        });
+    }
+
+    function getEnabledRulePacks() {
+        return [...rulePacksContainer.querySelectorAll('.rule-pack-enabled:checked')].map(checkbox => checkbox.value);
+    }
+
+    async function saveRulePacks() {
+        try {
+            await chrome.storage.sync.set({ enabledRulePacks: getEnabledRulePacks() });
+        } catch (error) {
+            alert(`Could not save the rule packs: ${error.message}`);
+        }
+    }
+
     async function loadRules() {
         const result = await chrome.storage.sync.get({ titlePreprocessingRules: [] });
         const rules = result.titlePreprocessingRules;
@@ -83,25 +299,110 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    function readRuleElement(ruleElement) {
+        const name = ruleElement.querySelector('.rule-name').value.trim();
+        const enabled = ruleElement.querySelector('.rule-enabled').checked;
+        const url = ruleElement.querySelector('.rule-url').value;
+        const matchType = ruleElement.querySelector('.rule-match-type').value;
+        const titleSource = ruleElement.querySelector('.rule-title-source').value;
+        const titleSelector = ruleElement.querySelector('.rule-title-selector').value.trim();
+        const stop = ruleElement.querySelector('.rule-stop').checked;
+        const checkedValues = (selector) =>
+            [...ruleElement.querySelectorAll(`${selector} input:checked`)].map(checkbox => checkbox.value);
+        const actions = [];
+        const actionElements = ruleElement.querySelectorAll('.action');
+        actionElements.forEach(actionElement => {
+            const type = actionElement.querySelector('.action-type').value;
+            const value1 = type === 'change_case'
+                ? actionElement.querySelector('.action-case').value
+                : actionElement.querySelector('.action-value-1').value;
+            const value2 = actionElement.querySelector('.action-value-2').value;
+            const flags = actionElement.querySelector('.action-flags').value;
+            actions.push({ type, value1, value2, flags });
+        });
+        return {
+            name,
+            enabled,
+            url,
+            matchType,
+            titleSource,
+            titleSelector,
+            actions,
+            stop,
+            slots: checkedValues('.rule-slots'),
+            outputLanguages: checkedValues('.rule-output-languages'),
+        };
+    }
+
+    // Runs all rules, in order, over every open tab and lists under each rule the tabs it
+    // applied to and how it changed their titles. Smart titles and enabled rule packs run
+    // first, as when copying, but are not listed. Slot and format limits are ignored here.
+    // Rules are matched against the URL as copied: cleaned, unwrapped and, if so set, canonical.
+    async function testRulesAgainstOpenTabs() {
+        const [tabs, urlCleaning] = await Promise.all([chrome.tabs.query({}), loadUrlCleaningConfig()]);
+        const ruleElements = [...rulesContainer.querySelectorAll('.rule')];
+        const packRules = getRulePackRules(getEnabledRulePacks()).titleRules;
+        const rules = [...packRules, ...ruleElements.map(readRuleElement)];
+        const stepsPerRule = rules.map(() => []);
+        const smartTitle = smartTitleCheckbox.checked;
+        const readsPage = rules.some(rule => rule.titleSource && rule.titleSource !== 'document');
+        for (const tab of tabs.filter(tab => tab.url)) {
+            // Only read pages when smart titles need their site name, the canonical URL is
+            // copied or a rule takes its title from the page content
+            const pageData = smartTitle || urlCleaning.settings.useCanonical ||
+                (readsPage && rules.some(rule => matchesTitleRule(rule, getCopyUrl(tab.url, '', urlCleaning))))
+                ? await collectPageData(tab, rules)
+                : undefined;
+            const url = getCopyUrl(tab.url, pageData?.metadata.canonical, urlCleaning);
+            const title = smartTitle ? stripSiteName(tab.title || '', pageData.metadata) : tab.title || '';
+            traceTitlePreprocessing(title, url, rules, undefined, pageData?.titleSources).forEach(step => {
+                stepsPerRule[step.index].push(step);
+            });
+        }
+
+        ruleElements.forEach((ruleElement, elementIndex) => {
+            const index = packRules.length + elementIndex;
+            const steps = stepsPerRule[index];
+            const results = ruleElement.querySelector('.rule-test-results');
+            const list = ruleElement.querySelector('.rule-test-list');
+
+            results.style.display = 'block';
+            ruleElement.querySelector('.rule-test-summary').textContent = rules[index].enabled
+                ? `Applies to ${steps.length} of ${tabs.length} open tabs`
+                : 'Disabled';
+            list.innerHTML = '';
+            steps.forEach(step => {
+                const item = document.createElement('li');
+                item.textContent = step.after === step.before
+                    ? `${step.before} (unchanged)`
+                    : `${step.before} → ${step.after}`;
+                list.appendChild(item);
+            });
+        });
+    }
+
     async function saveRules() {
+        if (rulesContainer.querySelector('[data-invalid="true"]')) {
+            alert('Some patterns are invalid. Please fix them before saving.');
+            return;
+        }
+
         const rules = [];
         const ruleElements = rulesContainer.querySelectorAll('.rule');
         ruleElements.forEach(ruleElement => {
-            const url = ruleElement.querySelector('.rule-url').value;
-            const actions = [];
-            const actionElements = ruleElement.querySelectorAll('.action');
-            actionElements.forEach(actionElement => {
-                const type = actionElement.querySelector('.action-type').value;
-                const value1 = actionElement.querySelector('.action-value-1').value;
-                const value2 = actionElement.querySelector('.action-value-2').value;
-                actions.push({ type, value1, value2 });
-            });
-            if (url) { // Only save rules that have a URL
-                rules.push({ url, actions });
+            const rule = readRuleElement(ruleElement);
+            if (rule.url) { // Only save rules that have a URL
+                rules.push(rule);
             }
         });
 
-        await chrome.storage.sync.set({ titlePreprocessingRules: rules });
+        try {
+            await chrome.storage.sync.set({ titlePreprocessingRules: rules });
+        } catch (error) {
+            // Sync storage limits the size of each item, which a large rule set can exceed
+            alert(`Could not save the rules: ${error.message}`);
+            return;
+        }
         // You can add a status message here to confirm saving
         alert('Rules saved!');
     }
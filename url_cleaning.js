@@ -0,0 +1,297 @@
+/**
+ * @fileoverview The URL cleaning page: edits how redirect wrappers are
+ * unwrapped, the parameters removed from copied URLs, per-site rules and
+ * imported ClearURLs rule lists, and shows how a test URL is cleaned with the
+ * settings in the form.
+ */
+
+const elements = {
+  enabled: /** @type {HTMLInputElement} */ (
+    document.getElementById('cleaning-enabled')
+  ),
+  unwrapRedirects: /** @type {HTMLInputElement} */ (
+    document.getElementById('unwrap-redirects')
+  ),
+  useCanonical: /** @type {HTMLInputElement} */ (
+    document.getElementById('use-canonical')
+  ),
+  wrapperPatterns: /** @type {HTMLTextAreaElement} */ (
+    document.getElementById('wrapper-patterns')
+  ),
+  builtinWrappers: document.getElementById('builtin-wrappers'),
+  parameters: /** @type {HTMLTextAreaElement} */ (
+    document.getElementById('cleaning-parameters')
+  ),
+  domainRulesContainer: document.getElementById('domain-rules-container'),
+  addDomainRuleButton: document.getElementById('add-domain-rule-btn'),
+  domainRuleTemplate: /** @type {HTMLTemplateElement} */ (
+    document.getElementById('domain-rule-template')
+  ),
+  ruleListsContainer: document.getElementById('rule-lists-container'),
+  noRuleListsMessage: document.getElementById('no-rule-lists'),
+  ruleListTemplate: /** @type {HTMLTemplateElement} */ (
+    document.getElementById('rule-list-template')
+  ),
+  importRuleListButton: document.getElementById('import-rule-list-btn'),
+  importRuleListFile: /** @type {HTMLInputElement} */ (
+    document.getElementById('import-rule-list-file')
+  ),
+  testUrl: /** @type {HTMLInputElement} */ (
+    document.getElementById('test-url')
+  ),
+  testBefore: document.getElementById('test-before'),
+  testUnwrapped: document.getElementById('test-unwrapped'),
+  testAfter: document.getElementById('test-after'),
+  testRemoved: document.getElementById('test-removed'),
+  saveButton: document.getElementById('save-cleaning-btn'),
+  statusMessage: document.getElementById('status-message'),
+};
+
+/**
+ * The imported rule lists shown on the page, saved together with the form.
+ * @type {UrlCleaningRuleList[]}
+ */
+let ruleLists = [];
+
+/**
+ * The site rules of the enabled rule packs, applied on top of the form when
+ * testing a URL. They are managed on the title preprocessing page.
+ * @type {DomainCleaningRule[]}
+ */
+let packUrlRules = [];
+
+/**
+ * Splits a list of parameter patterns typed by the user.
+ * @param {string} text - Patterns separated by commas or new lines.
+ * @returns {string[]} The non-empty patterns.
+ */
+function splitPatterns(text) {
+  return text
+    .split(/[,\n]/)
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Shows a status message next to the save button for a few seconds.
+ * @param {string} message - The message to show.
+ * @param {boolean} [isError=false] - Whether the message reports an error.
+ */
+function showStatusMessage(message, isError = false) {
+  elements.statusMessage.textContent = message;
+  elements.statusMessage.className = isError
+    ? 'text-sm text-red-600 dark:text-red-400'
+    : 'text-sm text-green-600 dark:text-green-400';
+  setTimeout(() => {
+    elements.statusMessage.textContent = '';
+  }, 3000);
+}
+
+/**
+ * Creates the form element of a site rule.
+ * @param {DomainCleaningRule} [rule] - The rule to show.
+ * @returns {HTMLElement} The rule element.
+ */
+function createDomainRuleElement(rule = { domain: '', remove: [], keep: [] }) {
+  const fragment = /** @type {DocumentFragment} */ (
+    elements.domainRuleTemplate.content.cloneNode(true)
+  );
+  const ruleElement = /** @type {HTMLElement} */ (
+    fragment.querySelector('.domain-rule')
+  );
+  ruleElement.querySelector('.rule-domain').value = rule.domain;
+  ruleElement.querySelector('.rule-remove').value = rule.remove.join(', ');
+  ruleElement.querySelector('.rule-keep').value = rule.keep.join(', ');
+  ruleElement
+    .querySelector('.remove-domain-rule-btn')
+    .addEventListener('click', () => {
+      ruleElement.remove();
+      updateTestResult();
+    });
+  return ruleElement;
+}
+
+/**
+ * Lists the imported rule lists.
+ */
+function renderRuleLists() {
+  elements.ruleListsContainer.innerHTML = '';
+  elements.noRuleListsMessage.style.display = ruleLists.length
+    ? 'none'
+    : 'block';
+
+  ruleLists.forEach((ruleList, index) => {
+    const fragment = /** @type {DocumentFragment} */ (
+      elements.ruleListTemplate.content.cloneNode(true)
+    );
+    fragment.querySelector('.rule-list-name').textContent = ruleList.name;
+    fragment.querySelector(
+      '.rule-list-count',
+    ).textContent = `${ruleList.providers.length} providers`;
+    fragment
+      .querySelector('.remove-rule-list-btn')
+      .addEventListener('click', () => {
+        ruleLists.splice(index, 1);
+        renderRuleLists();
+        updateTestResult();
+      });
+    elements.ruleListsContainer.appendChild(fragment);
+  });
+}
+
+/**
+ * Reads the URL cleaning settings from the form.
+ * @returns {UrlCleaningSettings} The settings as they would be saved.
+ */
+function getSettingsFromForm() {
+  const domainRules = [];
+  elements.domainRulesContainer
+    .querySelectorAll('.domain-rule')
+    .forEach((ruleElement) => {
+      const domain = ruleElement.querySelector('.rule-domain').value.trim();
+      if (domain) {
+        // Only save rules that have a domain
+        domainRules.push({
+          domain,
+          remove: splitPatterns(
+            ruleElement.querySelector('.rule-remove').value,
+          ),
+          keep: splitPatterns(ruleElement.querySelector('.rule-keep').value),
+        });
+      }
+    });
+
+  return {
+    enabled: elements.enabled.checked,
+    parameters: splitPatterns(elements.parameters.value),
+    domainRules,
+    unwrapRedirects: elements.unwrapRedirects.checked,
+    // Wrapper patterns contain no commas, but keep one per line for clarity
+    wrapperPatterns: elements.wrapperPatterns.value
+      .split('\n')
+      .map((pattern) => pattern.trim())
+      .filter(Boolean),
+    useCanonical: elements.useCanonical.checked,
+  };
+}
+
+/**
+ * Cleans the test URL with the settings in the form and shows the result.
+ */
+function updateTestResult() {
+  const before = elements.testUrl.value.trim();
+  const formSettings = getSettingsFromForm();
+  const settings = {
+    ...formSettings,
+    domainRules: [...formSettings.domainRules, ...packUrlRules],
+  };
+  const unwrapped = unwrapUrl(before, settings);
+  const { url, removed } = cleanUrl(unwrapped, { settings, ruleLists });
+  elements.testBefore.textContent = before;
+  elements.testAfter.textContent = url;
+  if (!before) {
+    elements.testUnwrapped.textContent = '';
+    elements.testRemoved.textContent = '';
+    return;
+  }
+  elements.testUnwrapped.textContent =
+    unwrapped !== before ? unwrapped : 'Not a redirect';
+  elements.testRemoved.textContent =
+    removed.join(', ') || (url === unwrapped ? 'Nothing' : '(by a raw rule)');
+}
+
+/**
+ * Loads the saved settings and rule lists into the form.
+ */
+async function loadSettings() {
+  try {
+    const [config, { enabledRulePacks }] = await Promise.all([
+      loadUrlCleaningConfig(),
+      chrome.storage.sync.get({ enabledRulePacks: [] }),
+    ]);
+    elements.enabled.checked = config.settings.enabled;
+    elements.unwrapRedirects.checked = config.settings.unwrapRedirects;
+    elements.useCanonical.checked = config.settings.useCanonical;
+    elements.wrapperPatterns.value = config.settings.wrapperPatterns.join('\n');
+    elements.parameters.value = config.settings.parameters.join('\n');
+    config.settings.domainRules.forEach((rule) => {
+      elements.domainRulesContainer.appendChild(createDomainRuleElement(rule));
+    });
+    ruleLists = config.ruleLists;
+    packUrlRules = getRulePackRules(enabledRulePacks).urlRules;
+    renderRuleLists();
+    updateTestResult();
+  } catch (error) {
+    console.error('Error loading URL cleaning settings:', error);
+    showStatusMessage('Error loading settings.', true);
+  }
+}
+
+/**
+ * Saves the form. The settings go to sync storage, the imported rule lists to
+ * local storage because of their size.
+ */
+async function saveSettings() {
+  try {
+    await Promise.all([
+      chrome.storage.sync.set({ urlCleaning: getSettingsFromForm() }),
+      chrome.storage.local.set({ urlCleaningRuleLists: ruleLists }),
+    ]);
+    showStatusMessage('Settings saved!');
+  } catch (error) {
+    console.error('Error saving URL cleaning settings:', error);
+    showStatusMessage(`Error saving settings: ${error.message}`, true);
+  }
+}
+
+/**
+ * Imports a ClearURLs rule list file, replacing a list with the same name.
+ * @param {File} file - The selected file.
+ */
+async function importRuleList(file) {
+  try {
+    const ruleList = parseClearUrlsRuleList(file.name, await file.text());
+    ruleLists = [
+      ...ruleLists.filter((existing) => existing.name !== ruleList.name),
+      ruleList,
+    ];
+    renderRuleLists();
+    updateTestResult();
+    showStatusMessage(
+      `Imported ${ruleList.providers.length} providers. Save to apply them.`,
+    );
+  } catch (error) {
+    console.error('Error importing rule list:', error);
+    showStatusMessage(`Error importing rule list: ${error.message}`, true);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+
+  REDIRECT_WRAPPERS.forEach((wrapper) => {
+    const item = document.createElement('li');
+    item.textContent = wrapper;
+    elements.builtinWrappers.appendChild(item);
+  });
+
+  elements.addDomainRuleButton.addEventListener('click', () => {
+    elements.domainRulesContainer.appendChild(createDomainRuleElement());
+  });
+  elements.importRuleListButton.addEventListener('click', () => {
+    elements.importRuleListFile.click();
+  });
+  elements.importRuleListFile.addEventListener('change', (event) => {
+    const file = /** @type {HTMLInputElement} */ (event.target).files[0];
+    if (file) {
+      importRuleList(file);
+    }
+    // Allow importing the same file again
+    elements.importRuleListFile.value = '';
+  });
+  elements.saveButton.addEventListener('click', saveSettings);
+
+  // Keep the test result in sync with every edit of the form
+  document.querySelector('main').addEventListener('input', updateTestResult);
+  document.querySelector('main').addEventListener('change', updateTestResult);
+});